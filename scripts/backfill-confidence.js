@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+const { connectMongo, mongoose, useDb } = require("../src/db/mongoose");
+const { scoreRowConfidence } = require("../src/utils/confidence");
+const { inferCategoryFromRows } = require("../src/services/resultService");
+
+const SCORE_FIELDS = [
+  "RawConfidence",
+  "Confidence",
+  "ConfidenceTier",
+  "ConfidenceComponents",
+  "EvidenceMethods",
+  "EvidenceSources"
+];
+
+function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+    all: false,
+    batchSize: 1000,
+    results: []
+  };
+  for (let i = 2; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === "--results" && argv[i + 1]) {
+      args.results.push(
+        ...argv[i + 1]
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      );
+      i += 1;
+    } else if (token === "--batch-size" && argv[i + 1]) {
+      const value = Number(argv[i + 1]);
+      if (Number.isFinite(value) && value > 0) {
+        args.batchSize = Math.floor(value);
+      }
+      i += 1;
+    } else if (token === "--all") {
+      args.all = true;
+    } else if (token === "--dry-run") {
+      args.dryRun = true;
+    }
+  }
+  return args;
+}
+
+async function listResultCollections(resultsDb, requested) {
+  const collections = await resultsDb.db.listCollections({}, { nameOnly: true }).toArray();
+  const names = collections
+    .map((entry) => String(entry.name || ""))
+    .filter((name) => /^hpinet\d{10,16}results$/.test(name));
+  if (requested.length === 0) {
+    return names.sort();
+  }
+  const existing = new Set(names);
+  return requested.filter((name) => existing.has(name));
+}
+
+async function resolveCategory(resultsDb, name, collection) {
+  const meta = await resultsDb.collection("result_meta").findOne({ _id: name }, { projection: { category: 1 } });
+  if (meta?.category) {
+    return meta.category;
+  }
+  const firstRow = await collection.findOne({ Host_Protein: { $exists: true } });
+  return inferCategoryFromRows(firstRow ? [firstRow] : [], "interolog");
+}
+
+async function backfillCollection(resultsDb, name, { all, dryRun, batchSize }) {
+  const collection = resultsDb.collection(name);
+  const category = await resolveCategory(resultsDb, name, collection);
+  const filter = all
+    ? { Host_Protein: { $exists: true } }
+    : { Host_Protein: { $exists: true }, RawConfidence: { $exists: false } };
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  async function flush() {
+    if (operations.length === 0) {
+      return;
+    }
+    if (!dryRun) {
+      const result = await collection.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+    operations = [];
+  }
+
+  const cursor = collection.find(filter).batchSize(batchSize);
+  for await (const row of cursor) {
+    scanned += 1;
+    const scored = scoreRowConfidence(row, category);
+    const fields = {};
+    for (const field of SCORE_FIELDS) {
+      fields[field] = scored[field] ?? null;
+    }
+    operations.push({ updateOne: { filter: { _id: row._id }, update: { $set: fields } } });
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { name, category, scanned, updated: dryRun ? 0 : updated };
+}
+
+async function backfillConfidence(args) {
+  const resultsDb = useDb("hpinet_results");
+  const names = await listResultCollections(resultsDb, args.results);
+  const collections = [];
+  for (const name of names) {
+    collections.push(await backfillCollection(resultsDb, name, args));
+  }
+  return {
+    dryRun: args.dryRun,
+    all: args.all,
+    collections: collections.length,
+    scanned: collections.reduce((sum, item) => sum + item.scanned, 0),
+    updated: collections.reduce((sum, item) => sum + item.updated, 0),
+    details: collections
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  await connectMongo();
+  const report = await backfillConfidence(args);
+  console.log(JSON.stringify(report, null, 2));
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Failed to backfill confidence:", error);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {
+    // ignore disconnect errors on failure
+  }
+  process.exit(1);
+});
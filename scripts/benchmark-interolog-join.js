@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+const fs = require("node:fs");
+const { performance } = require("node:perf_hooks");
+const env = require("../src/config/env");
+const { connectMongo, mongoose, useDb } = require("../src/db/mongoose");
+const { toGeneList } = require("../src/utils/genes");
+const {
+  fetchBlastRowsMongo,
+  fetchPpiRowsMongo,
+  fetchPpiRowsStreamed,
+  buildInterologRowsForDb
+} = require("../src/services/interologService");
+
+function parseArgs(argv) {
+  const args = {
+    host: "",
+    pathogen: "",
+    intdb: [],
+    ids: "host",
+    genes: [],
+    runs: 1,
+    hi: 0,
+    hc: 0,
+    he: 1,
+    pi: 0,
+    pc: 0,
+    pe: 1
+  };
+  for (let i = 2; i < argv.length; i += 1) {
+    const token = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined) {
+      continue;
+    }
+    if (token === "--host") args.host = value;
+    else if (token === "--pathogen") args.pathogen = value;
+    else if (token === "--intdb") args.intdb = toGeneList(value).map((item) => item.toLowerCase());
+    else if (token === "--ids") args.ids = value.toLowerCase();
+    else if (token === "--genes") args.genes = toGeneList(value);
+    else if (token === "--genes-file") args.genes = toGeneList(fs.readFileSync(value, "utf8"));
+    else if (token === "--runs") args.runs = Math.max(1, Math.floor(Number(value) || 1));
+    else if (["--hi", "--hc", "--he", "--pi", "--pc", "--pe"].includes(token)) args[token.slice(2)] = Number(value);
+    else continue;
+    i += 1;
+  }
+  return args;
+}
+
+function canonicalRows(rows) {
+  return rows.map((row) => JSON.stringify(row)).sort();
+}
+
+function sameRows(a, b) {
+  const left = canonicalRows(a);
+  const right = canonicalRows(b);
+  return left.length === right.length && left.every((row, i) => row === right[i]);
+}
+
+async function timed(fn, runs) {
+  const times = [];
+  let result;
+  for (let run = 0; run < runs; run += 1) {
+    const started = performance.now();
+    result = await fn();
+    times.push(performance.now() - started);
+  }
+  times.sort((a, b) => a - b);
+  return { result, medianMs: Number(times[Math.floor(times.length / 2)].toFixed(1)) };
+}
+
+async function benchmarkDb(mongoDb, intdb, args) {
+  const hostGenes = args.ids === "host" ? args.genes : [];
+  const pathogenGenes = args.ids === "pathogen" ? args.genes : [];
+  const [hostBlastRows, pathogenBlastRows] = await Promise.all([
+    fetchBlastRowsMongo(mongoDb, {
+      table: args.host,
+      ident: args.hi,
+      coverage: args.hc,
+      evalue: args.he,
+      intdb,
+      genes: hostGenes
+    }),
+    fetchBlastRowsMongo(mongoDb, {
+      table: args.pathogen,
+      ident: args.pi,
+      coverage: args.pc,
+      evalue: args.pe,
+      intdb,
+      genes: pathogenGenes
+    })
+  ]);
+  const hostSseq = Array.from(new Set(hostBlastRows.map((row) => row.sseqid).filter(Boolean)));
+  const pathogenSseq = Array.from(new Set(pathogenBlastRows.map((row) => row.sseqid).filter(Boolean)));
+  const ppiTable = `${intdb}s`;
+
+  const chunked = await timed(() => fetchPpiRowsMongo(mongoDb, ppiTable, hostSseq, pathogenSseq), args.runs);
+  const streamed = await timed(() => fetchPpiRowsStreamed(mongoDb, ppiTable, hostSseq, pathogenSseq), args.runs);
+  const chunkedRows = buildInterologRowsForDb(intdb, hostBlastRows, pathogenBlastRows, chunked.result);
+  const streamedRows = buildInterologRowsForDb(intdb, hostBlastRows, pathogenBlastRows, streamed.result);
+
+  return {
+    intdb,
+    hostSseq: hostSseq.length,
+    pathogenSseq: pathogenSseq.length,
+    chunkedQueries: Math.ceil(hostSseq.length / 300) * Math.ceil(pathogenSseq.length / 300),
+    chunked: { ms: chunked.medianMs, ppiRows: chunked.result.length, rows: chunkedRows.length },
+    streamed: { ms: streamed.medianMs, ppiRows: streamed.result.length, rows: streamedRows.length },
+    speedup: streamed.medianMs > 0 ? Number((chunked.medianMs / streamed.medianMs).toFixed(2)) : null,
+    identical: sameRows(chunkedRows, streamedRows)
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.host || !args.pathogen || args.intdb.length === 0) {
+    console.error(
+      "Usage: benchmark-interolog-join.js --host <blast table> --pathogen <blast table> --intdb <db,...> " +
+        "[--ids host|pathogen --genes <id,...> | --genes-file <path>] [--runs 3] [--hi --hc --he --pi --pc --pe]"
+    );
+    process.exit(1);
+  }
+  await connectMongo();
+  const mongoDb = useDb(env.INTEROLOG_MONGO_DB);
+  const databases = [];
+  for (const intdb of args.intdb) {
+    databases.push(await benchmarkDb(mongoDb, intdb, args));
+  }
+  console.log(
+    JSON.stringify(
+      {
+        runs: args.runs,
+        genes: args.genes.length,
+        identical: databases.every((item) => item.identical),
+        databases
+      },
+      null,
+      2
+    )
+  );
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Failed to benchmark interolog join:", error);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {
+    // ignore disconnect errors on failure
+  }
+  process.exit(1);
+});
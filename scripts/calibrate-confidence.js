@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+const fs = require("node:fs");
+const { connectMongo, mongoose } = require("../src/db/mongoose");
+const { calibrateConfidence } = require("../src/services/calibrationService");
+
+const VALUE_FLAGS = {
+  "--results": "results",
+  "--gold": "goldFile",
+  "--profile": "profile",
+  "--unlabeled": "unlabeled",
+  "--bins": "bins",
+  "--high-precision": "highPrecision",
+  "--medium-precision": "mediumPrecision",
+  "--save-as": "saveAs"
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (VALUE_FLAGS[token] && argv[i + 1]) {
+      args[VALUE_FLAGS[token]] = argv[i + 1];
+      i += 1;
+    } else if (token === "--unlabeled-negative") {
+      args.unlabeled = "negative";
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { goldFile, ...args } = parseArgs(process.argv);
+  if (!args.results || !goldFile) {
+    console.error("Usage: calibrate-confidence.js --results <id,...> --gold <pairs.tsv> [--profile <name>] [--unlabeled-negative] [--bins 10] [--high-precision 0.9] [--medium-precision 0.7] [--save-as <name>]");
+    process.exit(1);
+  }
+  const gold = fs.readFileSync(goldFile, "utf8");
+  await connectMongo();
+  const report = await calibrateConfidence({ ...args, gold });
+  console.log(JSON.stringify(report, null, 2));
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Failed to calibrate confidence:", error.status ? error.message : error);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {
+    // ignore disconnect errors on failure
+  }
+  process.exit(1);
+});
@@ -34,32 +34,86 @@ function extractTimestampFromCollectionName(name) {
   return raw < 1e12 ? raw * 1000 : raw;
 }
 
+function resolveRetention({ createdAt, meta, now, cutoff }) {
+  if (meta?.pinned) {
+    return { action: "keep", reason: "pinned" };
+  }
+  if (meta?.expiresAt) {
+    const expiresAt = new Date(meta.expiresAt).getTime();
+    return expiresAt <= now
+      ? { action: "drop", reason: "expired" }
+      : { action: "keep", reason: "expiresAt" };
+  }
+  if (createdAt < cutoff) {
+    return { action: "drop", reason: "older-than-cutoff" };
+  }
+  return { action: "keep", reason: "recent" };
+}
+
 async function cleanupOldResults({ days, dryRun }) {
   const resultsDb = useDb("hpinet_results");
+  const registry = resultsDb.collection("result_meta");
   const now = Date.now();
   const cutoff = now - days * 24 * 60 * 60 * 1000;
 
-  const collections = await resultsDb.listCollections({}, { nameOnly: true }).toArray();
-  const candidates = [];
+  const collections = await resultsDb.db.listCollections({}, { nameOnly: true }).toArray();
+  const resultCollections = [];
   for (const item of collections) {
     const name = String(item?.name || "");
     const createdAt = extractTimestampFromCollectionName(name);
-    if (!createdAt) {
+    if (createdAt) {
+      resultCollections.push({ name, createdAt });
+    }
+  }
+
+  const metaRows = await registry
+    .find(
+      { _id: { $in: resultCollections.map((item) => item.name) } },
+      { projection: { _id: 1, pinned: 1, expiresAt: 1 } }
+    )
+    .toArray();
+  const metaById = new Map(metaRows.map((row) => [row._id, row]));
+
+  const dropped = [];
+  const kept = [];
+  const keptByReason = { pinned: 0, expiresAt: 0, recent: 0 };
+  for (const { name, createdAt } of resultCollections) {
+    const meta = metaById.get(name);
+    const { action, reason } = resolveRetention({ createdAt, meta, now, cutoff });
+    const entry = {
+      name,
+      reason,
+      createdAtIso: new Date(createdAt).toISOString(),
+      expiresAtIso: meta?.expiresAt ? new Date(meta.expiresAt).toISOString() : null
+    };
+    if (action === "drop") {
+      dropped.push(entry);
       continue;
     }
-    if (createdAt < cutoff) {
-      candidates.push({
-        name,
-        createdAt,
-        createdAtIso: new Date(createdAt).toISOString()
-      });
+    keptByReason[reason] += 1;
+    if (reason !== "recent") {
+      kept.push(entry);
     }
   }
 
+  // Finished job documents age out on the same cutoff; results stay readable by resultId.
+  const jobs = resultsDb.collection("jobs");
+  const finishedJobsQuery = {
+    status: { $in: ["succeeded", "failed", "cancelled"] },
+    finishedAt: { $lt: new Date(cutoff) }
+  };
+  const finishedJobs = await jobs.countDocuments(finishedJobsQuery);
+
   if (!dryRun) {
-    for (const item of candidates) {
+    if (finishedJobs > 0) {
+      await jobs.deleteMany(finishedJobsQuery);
+    }
+    for (const item of dropped) {
       await resultsDb.dropCollection(item.name);
     }
+    if (dropped.length > 0) {
+      await registry.deleteMany({ _id: { $in: dropped.map((item) => item.name) } });
+    }
   }
 
   return {
@@ -67,9 +121,21 @@ async function cleanupOldResults({ days, dryRun }) {
     dryRun,
     cutoffIso: new Date(cutoff).toISOString(),
     scannedCollections: collections.length,
-    matchedCollections: candidates.length,
-    droppedCollections: dryRun ? 0 : candidates.length,
-    collections: candidates
+    resultCollections: resultCollections.length,
+    dropped: {
+      count: dropped.length,
+      applied: !dryRun,
+      collections: dropped
+    },
+    kept: {
+      count: resultCollections.length - dropped.length,
+      byReason: keptByReason,
+      collections: kept
+    },
+    finishedJobs: {
+      count: finishedJobs,
+      applied: !dryRun
+    }
   };
 }
 
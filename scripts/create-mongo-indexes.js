@@ -88,6 +88,14 @@ async function createHpinetDbIndexes({ dryRun, report }) {
 
 async function createHpinetResultsIndexes({ dryRun, report }) {
   const db = useDb("hpinet_results");
+  const jobs = db.collection("jobs");
+  await ensureIndex(jobs, { status: 1, createdAt: 1 }, { name: "status_1_createdAt_1" }, report, dryRun);
+  await ensureIndex(jobs, { paramHash: 1, status: 1 }, { name: "paramHash_1_status_1" }, report, dryRun);
+  const resultMeta = db.collection("result_meta");
+  await ensureIndex(resultMeta, { createdAt: 1 }, { name: "createdAt_1" }, report, dryRun);
+  await ensureIndex(resultMeta, { paramHash: 1, createdAt: -1 }, { name: "paramHash_1_createdAt_-1" }, report, dryRun);
+  await ensureIndex(resultMeta, { category: 1, host: 1, pathogen: 1 }, { name: "category_1_host_1_pathogen_1" }, report, dryRun);
+
   const collections = await db.db.listCollections({}, { nameOnly: true }).toArray();
   for (const entry of collections) {
     const name = String(entry.name || "");
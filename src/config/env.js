@@ -22,9 +22,16 @@ module.exports = {
   PORT: asNumber(process.env.PORT, 3816),
   MONGODB_URI: process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/default",
   INTEROLOG_MONGO_DB: process.env.INTEROLOG_MONGO_DB || "hpinetdb",
+  INTEROLOG_JOIN: (process.env.INTEROLOG_JOIN || "stream").trim().toLowerCase(),
+  INTEROLOG_DB_CONCURRENCY: Math.max(1, asNumber(process.env.INTEROLOG_DB_CONCURRENCY, 3)),
+  INTEROLOG_PENDING_BATCHES: Math.max(1, Math.floor(asNumber(process.env.INTEROLOG_PENDING_BATCHES, 4))),
+  PPI_IN_CHUNK_SIZE: Math.max(1, Math.floor(asNumber(process.env.PPI_IN_CHUNK_SIZE, 5000))),
+  PPI_SCAN_THRESHOLD: Math.max(1, Math.floor(asNumber(process.env.PPI_SCAN_THRESHOLD, 50000))),
+  RESULT_INSERT_BATCH_SIZE: Math.max(1, Math.floor(asNumber(process.env.RESULT_INSERT_BATCH_SIZE, 5000))),
   CORS_ENABLED: asBoolean(process.env.CORS_ENABLED, true),
   CORS_ALLOWED_ORIGINS: (process.env.CORS_ALLOWED_ORIGINS || "*").trim(),
   REQUEST_TIMEOUT_MS: asNumber(process.env.REQUEST_TIMEOUT_MS, 3600000),
+  JOB_CONCURRENCY: Math.max(1, asNumber(process.env.JOB_CONCURRENCY, 1)),
   GO_AUTO_DOWNLOAD_OBO: asBoolean(process.env.GO_AUTO_DOWNLOAD_OBO, true),
   GO_OBO_URL: process.env.GO_OBO_URL || "https://purl.obolibrary.org/obo/go/go-basic.obo",
   GO_OBO_PATH: path.resolve(projectRoot, process.env.GO_OBO_PATH || path.join("..", "data", "go-basic.obo")),
@@ -0,0 +1,10 @@
+const { HttpError } = require("./HttpError");
+
+class JobCancelledError extends HttpError {
+  constructor(message) {
+    super(409, message || "Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+module.exports = { JobCancelledError };
@@ -5,6 +5,9 @@ function notFoundHandler(req, _res, next) {
 }
 
 function errorHandler(err, _req, res, _next) {
+  if (res.headersSent) {
+    return _next(err);
+  }
   const status = err.status || 500;
   const req = _req;
   if (status >= 500) {
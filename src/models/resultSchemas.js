@@ -9,8 +9,23 @@ const wheatSchema = new mongoose.Schema(
     intdb_x: String,
     Method: String,
     Type: String,
-    Confidence: String,
-    PMID: String
+    Confidence: mongoose.Schema.Types.Mixed,
+    PMID: String,
+    Score: Number,
+    score: Number,
+    intdb: String,
+    EvidenceCount: Number,
+    Databases: [String],
+    Methods: [String],
+    Templates: mongoose.Schema.Types.Mixed,
+    HostIdentity: Number,
+    HostEvalue: Number,
+    HostCoverage: Number,
+    HostBitscore: Number,
+    PathogenIdentity: Number,
+    PathogenEvalue: Number,
+    PathogenCoverage: Number,
+    PathogenBitscore: Number
   },
   { strict: false, versionKey: false }
 );
@@ -21,7 +36,9 @@ const goppiSchema = new mongoose.Schema(
     Pathogen_Protein: String,
     Host_GO: String,
     Pathogen_GO: String,
-    score: Number
+    Score: Number,
+    score: Number,
+    Confidence: mongoose.Schema.Types.Mixed
   },
   { strict: false, versionKey: false }
 );
@@ -31,6 +48,8 @@ const phyloSchema = new mongoose.Schema(
     Host_Protein: String,
     Pathogen_Protein: String,
     Score: Number,
+    score: Number,
+    Confidence: mongoose.Schema.Types.Mixed,
     Host_Pattern: String,
     Pathogen_Pattern: String
   },
@@ -64,10 +83,11 @@ const consensusSchema = new mongoose.Schema(
     intdb_x: String,
     Method: String,
     Type: String,
-    Confidence: String,
+    Confidence: mongoose.Schema.Types.Mixed,
     PMID: String,
     ProteinA_y: String,
     ProteinB_y: String,
+    Score: Number,
     score: Number,
     DomianA_name: String,
     DomainA_desc: String,
@@ -75,7 +95,30 @@ const consensusSchema = new mongoose.Schema(
     DomianB_name: String,
     DomainB_desc: String,
     DomianB_interpro: String,
-    intdb: String
+    intdb: String,
+    HostIdentity: Number,
+    HostEvalue: Number,
+    HostCoverage: Number,
+    HostBitscore: Number,
+    PathogenIdentity: Number,
+    PathogenEvalue: Number,
+    PathogenCoverage: Number,
+    PathogenBitscore: Number
+  },
+  { strict: false, versionKey: false }
+);
+
+const integratedSchema = new mongoose.Schema(
+  {
+    Host_Protein: String,
+    Pathogen_Protein: String,
+    SupportingMethods: [String],
+    MethodCount: Number,
+    MethodScores: mongoose.Schema.Types.Mixed,
+    SupportingResults: [String],
+    intdb_x: String,
+    PMID: String,
+    Confidence: mongoose.Schema.Types.Mixed
   },
   { strict: false, versionKey: false }
 );
@@ -85,5 +128,6 @@ module.exports = {
   goppiSchema,
   phyloSchema,
   domainSchema,
-  consensusSchema
+  consensusSchema,
+  integratedSchema
 };
@@ -0,0 +1,57 @@
+const express = require("express");
+const { asyncHandler } = require("../middleware/asyncHandler");
+const {
+  listConfidenceProfiles,
+  getConfidenceProfile,
+  createConfidenceProfile,
+  updateConfidenceProfile,
+  deleteConfidenceProfile
+} = require("../services/confidenceProfileService");
+const { calibrateConfidence } = require("../services/calibrationService");
+
+const router = express.Router();
+
+router.get(
+  "/confidence_profiles",
+  asyncHandler(async (req, res) => {
+    res.json(await listConfidenceProfiles());
+  })
+);
+
+router.post(
+  "/confidence_profiles",
+  asyncHandler(async (req, res) => {
+    const data = await createConfidenceProfile(req.body || {});
+    res.status(201).json(data);
+  })
+);
+
+router.get(
+  "/confidence_profiles/:name",
+  asyncHandler(async (req, res) => {
+    res.json(await getConfidenceProfile(req.params.name));
+  })
+);
+
+router.put(
+  "/confidence_profiles/:name",
+  asyncHandler(async (req, res) => {
+    res.json(await updateConfidenceProfile(req.params.name, req.body || {}));
+  })
+);
+
+router.delete(
+  "/confidence_profiles/:name",
+  asyncHandler(async (req, res) => {
+    res.json(await deleteConfidenceProfile(req.params.name));
+  })
+);
+
+router.post(
+  "/confidence_calibration",
+  asyncHandler(async (req, res) => {
+    res.json(await calibrateConfidence(req.body || {}));
+  })
+);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require("express");
 const annotationRoutes = require("./annotationRoutes");
+const confidenceProfileRoutes = require("./confidenceProfileRoutes");
 const jobRoutes = require("./jobRoutes");
 const resultRoutes = require("./resultRoutes");
 
 const router = express.Router();
 
 router.use(annotationRoutes);
+router.use(confidenceProfileRoutes);
 router.use(jobRoutes);
 router.use(resultRoutes);
 
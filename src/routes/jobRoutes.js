@@ -3,49 +3,82 @@ const { asyncHandler } = require("../middleware/asyncHandler");
 const { toGeneCsv } = require("../utils/genes");
 const { HttpError } = require("../errors/HttpError");
 const { findGenesFromKeyword } = require("../services/annotationService");
-const { runInterologJob } = require("../services/interologService");
-const { runPhyloJob } = require("../services/phyloService");
-const { runGoSimJob } = require("../services/goSimService");
-const { toGeneList } = require("../utils/genes");
+const { validateIntegrationRequest } = require("../services/integrationService");
+const {
+  enqueueJob,
+  getJob,
+  cancelJob,
+  subscribeJobEvents,
+  isTerminalStatus
+} = require("../services/jobService");
+
+const SSE_HEARTBEAT_MS = 15000;
 
 const router = express.Router();
 
-function summarizePhyloPayload(body) {
-  return {
-    category: body?.category,
-    hspecies: body?.hspecies,
-    pspecies: body?.pspecies,
-    method: body?.method,
-    threshold: body?.threshold,
-    hi: body?.hi,
-    hc: body?.hc,
-    he: body?.he,
-    pi: body?.pi,
-    pc: body?.pc,
-    pe: body?.pe,
-    hostGenesCount: toGeneList(body?.host_genes).length,
-    pathogenGenesCount: toGeneList(body?.pathogen_genes).length
-  };
+function isForced(req) {
+  const value = req.query.force ?? req.body?.force;
+  return String(value ?? "").toLowerCase() === "true";
+}
+
+// ids=both: each side takes `<side>_genes`, or a `<side>Keyword` search
+// (with `<side>AnotType`, falling back to `anotType`) on its own species.
+async function resolveSideGeneCsv(body, side) {
+  const keyword = body[`${side}Keyword`];
+  if (!keyword) {
+    return toGeneCsv(body[`${side}_genes`]);
+  }
+  const genes = await findGenesFromKeyword({
+    anotType: body[`${side}AnotType`] || body.anotType,
+    ids: side,
+    species: body[side],
+    keyword
+  });
+  if (genes.length === 0) {
+    throw new HttpError(400, `No ${side} genes match keyword: ${keyword}`);
+  }
+  return genes.join(",");
+}
+
+async function resolvePpiGenes(body) {
+  if (String(body.ids || "").toLowerCase() === "both") {
+    const hostGeneCsv = await resolveSideGeneCsv(body, "host");
+    const pathogenGeneCsv = await resolveSideGeneCsv(body, "pathogen");
+    if (!hostGeneCsv && !pathogenGeneCsv) {
+      throw new HttpError(400, "ids=both needs host_genes/hostKeyword or pathogen_genes/pathogenKeyword");
+    }
+    return { geneCsv: "", hostGeneCsv, pathogenGeneCsv };
+  }
+
+  if (body.searchType === "keyword" && body.keyword) {
+    const species = body.ids === "host" ? body.host : body.pathogen;
+    const genes = await findGenesFromKeyword({
+      anotType: body.anotType,
+      ids: body.ids,
+      species,
+      keyword: body.keyword
+    });
+    return { geneCsv: genes.join(",") };
+  }
+  return { geneCsv: toGeneCsv(body.genes) };
+}
+
+function sendJob(res, job) {
+  res.status(job.status === "succeeded" ? 200 : 202).json(job);
+}
+
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === "function") {
+    res.flush();
+  }
 }
 
 router.post(
   "/ppi",
   asyncHandler(async (req, res) => {
     const body = req.body || {};
-    let geneCsv = "";
-
-    if (body.searchType === "keyword" && body.keyword) {
-      const species = body.ids === "host" ? body.host : body.pathogen;
-      const genes = await findGenesFromKeyword({
-        anotType: body.anotType,
-        ids: body.ids,
-        species,
-        keyword: body.keyword
-      });
-      geneCsv = genes.join(",");
-    } else {
-      geneCsv = toGeneCsv(body.genes);
-    }
+    const genes = await resolvePpiGenes(body);
 
     if (body.category !== "interolog" && body.category !== "consensus") {
       throw new HttpError(
@@ -54,38 +87,121 @@ router.post(
       );
     }
 
-    const resultId = await runInterologJob(body, geneCsv);
-    res.json(resultId);
+    const job = await enqueueJob("ppi", body, genes, { force: isForced(req) });
+    sendJob(res, job);
   })
 );
 
 router.post(
   "/goppi",
   asyncHandler(async (req, res) => {
-    const resultId = await runGoSimJob(req.body || {});
-    res.json(resultId);
+    const job = await enqueueJob("goppi", req.body || {}, {}, { force: isForced(req) });
+    sendJob(res, job);
   })
 );
 
 router.post(
   "/phyloppi",
+  asyncHandler(async (req, res) => {
+    const job = await enqueueJob("phyloppi", req.body || {}, {}, { force: isForced(req) });
+    sendJob(res, job);
+  })
+);
+
+router.post(
+  "/integrate",
   asyncHandler(async (req, res) => {
     const body = req.body || {};
+    await validateIntegrationRequest(body);
+    const job = await enqueueJob("integrate", body, {}, { force: isForced(req) });
+    sendJob(res, job);
+  })
+);
+
+router.get(
+  "/jobs/:id",
+  asyncHandler(async (req, res) => {
+    const job = await getJob(req.params.id);
+    res.json(job);
+  })
+);
+
+router.delete(
+  "/jobs/:id",
+  asyncHandler(async (req, res) => {
+    const job = await cancelJob(req.params.id);
+    res.status(job.status === "cancelled" ? 200 : 202).json(job);
+  })
+);
+
+router.get(
+  "/jobs/:id/events",
+  asyncHandler(async (req, res) => {
+    const pending = [];
+    let streaming = false;
+    let heartbeat = null;
+    let unsubscribe = () => {};
+
+    function finish() {
+      clearInterval(heartbeat);
+      unsubscribe();
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+
+    function send(event) {
+      writeSseEvent(res, event.type, event.data);
+      if (event.type === "done") {
+        finish();
+      }
+    }
+
+    unsubscribe = subscribeJobEvents(req.params.id, (event) => {
+      if (streaming) {
+        send(event);
+      } else {
+        pending.push(event);
+      }
+    });
+
+    let job;
     try {
-      const resultId = await runPhyloJob(body);
-      res.json(resultId);
+      job = await getJob(req.params.id);
     } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] /api/phyloppi failed`,
-        summarizePhyloPayload(body),
-        {
-          message: error.message,
-          details: error.details,
-          stack: error.stack
-        }
-      );
+      unsubscribe();
       throw error;
     }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    writeSseEvent(res, "status", job);
+
+    if (isTerminalStatus(job.status)) {
+      writeSseEvent(res, "done", { status: job.status, resultId: job.resultId, error: job.error });
+      finish();
+      return;
+    }
+
+    streaming = true;
+    heartbeat = setInterval(() => {
+      res.write(": keep-alive\n\n");
+      if (typeof res.flush === "function") {
+        res.flush();
+      }
+    }, SSE_HEARTBEAT_MS);
+    req.on("close", finish);
+    for (const event of pending.splice(0)) {
+      if (res.writableEnded) {
+        break;
+      }
+      send(event);
+    }
   })
 );
 
@@ -1,19 +1,36 @@
 const express = require("express");
+const { pipeline } = require("node:stream/promises");
 const { asyncHandler } = require("../middleware/asyncHandler");
 const { getConfidenceMeta } = require("../utils/confidence");
 const {
   getResults,
   getNetwork,
+  getTopology,
+  getNeighborhood,
+  explainPair,
+  exportNetwork,
   downloadResults,
   getDomainResults,
   getDomainDownload
 } = require("../services/resultService");
+const { getResultMeta, pinResult } = require("../services/resultRegistryService");
+const { getModules } = require("../services/moduleService");
+const { compareResults } = require("../services/resultCompareService");
+const { resolveConfidenceProfile } = require("../services/confidenceProfileService");
 
 const router = express.Router();
 
-router.get("/confidence_meta/", (req, res) => {
-  res.json(getConfidenceMeta());
-});
+function getTaxids(req) {
+  return { hostTaxid: req.query.hostTaxid, pathogenTaxid: req.query.pathogenTaxid };
+}
+
+router.get(
+  "/confidence_meta/",
+  asyncHandler(async (req, res) => {
+    const profile = await resolveConfidenceProfile(req.query.profile);
+    res.json(getConfidenceMeta(profile));
+  })
+);
 
 router.get(
   "/results/",
@@ -23,7 +40,118 @@ router.get(
       category: req.query.category,
       page: req.query.page,
       size: req.query.size,
-      q: req.query.q
+      q: req.query.q,
+      sort: req.query.sort,
+      filters: {
+        minScore: req.query.minScore,
+        maxScore: req.query.maxScore,
+        minConfidence: req.query.minConfidence,
+        maxConfidence: req.query.maxConfidence,
+        intdb: req.query.intdb,
+        method: req.query.method,
+        type: req.query.type,
+        hostIds: req.query.hostIds,
+        pathogenIds: req.query.pathogenIds
+      },
+      profile: req.query.profile
+    });
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/compare",
+  asyncHandler(async (req, res) => {
+    const data = await compareResults({
+      a: req.query.a,
+      b: req.query.b,
+      set: req.query.set,
+      page: req.query.page,
+      size: req.query.size
+    });
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/:id/meta",
+  asyncHandler(async (req, res) => {
+    const data = await getResultMeta(req.params.id);
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/:id/topology",
+  asyncHandler(async (req, res) => {
+    const data = await getTopology({
+      resultId: req.params.id,
+      category: req.query.category,
+      minConfidence: req.query.minConfidence,
+      top: req.query.top,
+      limit: req.query.limit
+    });
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/:id/neighborhood",
+  asyncHandler(async (req, res) => {
+    const data = await getNeighborhood({
+      resultId: req.params.id,
+      category: req.query.category,
+      protein: req.query.protein,
+      depth: req.query.depth,
+      minConfidence: req.query.minConfidence,
+      limit: req.query.limit,
+      host: req.query.host,
+      pathogen: req.query.pathogen
+    });
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/:id/explain",
+  asyncHandler(async (req, res) => {
+    const data = await explainPair({
+      resultId: req.params.id,
+      category: req.query.category,
+      host: req.query.host,
+      pathogen: req.query.pathogen,
+      profile: req.query.profile
+    });
+    res.json(data);
+  })
+);
+
+router.get(
+  "/results/:id/modules",
+  asyncHandler(async (req, res) => {
+    const data = await getModules({
+      resultId: req.params.id,
+      category: req.query.category,
+      minConfidence: req.query.minConfidence,
+      weighted: req.query.weighted,
+      resolution: req.query.resolution,
+      minSize: req.query.minSize,
+      top: req.query.top,
+      enrich: req.query.enrich,
+      alpha: req.query.alpha,
+      host: req.query.host,
+      pathogen: req.query.pathogen
+    });
+    res.json(data);
+  })
+);
+
+router.post(
+  "/results/:id/pin",
+  asyncHandler(async (req, res) => {
+    const data = await pinResult(req.params.id, {
+      pinned: req.body?.pinned,
+      expiresAt: req.body?.expiresAt
     });
     res.json(data);
   })
@@ -32,12 +160,30 @@ router.get(
 router.get(
   "/network/",
   asyncHandler(async (req, res) => {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (format !== "json") {
+      const exported = await exportNetwork({
+        resultId: req.query.results,
+        category: req.query.category,
+        limit: req.query.limit,
+        offset: req.query.offset,
+        sort: req.query.sort,
+        format,
+        taxids: getTaxids(req),
+        profile: req.query.profile
+      });
+      res.attachment(exported.filename);
+      res.type(exported.contentType);
+      res.send(exported.body);
+      return;
+    }
     const data = await getNetwork({
       resultId: req.query.results,
       category: req.query.category,
       limit: req.query.limit,
       offset: req.query.offset,
-      sort: req.query.sort
+      sort: req.query.sort,
+      profile: req.query.profile
     });
     res.json(data);
   })
@@ -46,11 +192,16 @@ router.get(
 router.get(
   "/download/",
   asyncHandler(async (req, res) => {
-    const data = await downloadResults({
+    const download = await downloadResults({
       resultId: req.query.results,
-      category: req.query.category
+      category: req.query.category,
+      format: req.query.format,
+      taxids: getTaxids(req),
+      profile: req.query.profile
     });
-    res.json(data);
+    res.attachment(download.filename);
+    res.type(download.contentType);
+    await pipeline(download.stream, res);
   })
 );
 
@@ -1,10 +1,12 @@
 const { createApp } = require("./app");
 const { connectMongo, mongoose } = require("./db/mongoose");
+const { startJobWorker } = require("./services/jobService");
 const { PORT, MONGODB_URI, REQUEST_TIMEOUT_MS } = require("./config/env");
 
 async function start() {
   await connectMongo();
   console.log(`Mongo connected: ${MONGODB_URI}`);
+  await startJobWorker();
 
   const app = createApp();
   const server = app.listen(PORT, () => {
@@ -321,6 +321,92 @@ async function findGenesFromKeyword({ anotType, ids, species, keyword }) {
   return Array.from(new Set(rows.map((row) => row.gene).filter(Boolean)));
 }
 
+function mapGeneCandidates(genes) {
+  const idsByCandidate = new Map();
+  for (const gene of genes) {
+    for (const candidate of buildGeneCandidates(gene)) {
+      if (!idsByCandidate.has(candidate)) {
+        idsByCandidate.set(candidate, []);
+      }
+      idsByCandidate.get(candidate).push(gene);
+    }
+  }
+  return idsByCandidate;
+}
+
+const TERM_FIELDS = {
+  go: "term",
+  kegg: "pathway"
+};
+
+async function fetchGeneTerms({ type, side, species, genes }) {
+  const models = getAnnotationModels();
+  const model = type === "go" ? models.GO[side] : models.KEGG[side];
+  const termField = TERM_FIELDS[type];
+  const terms = new Map();
+  const descriptions = new Map();
+  if (!model || !termField || genes.length === 0) {
+    return { terms, descriptions };
+  }
+
+  const idsByCandidate = mapGeneCandidates(genes);
+  const candidates = Array.from(idsByCandidate.keys());
+  const speciesCandidates = buildSpeciesCandidates(species);
+  for (let i = 0; i < candidates.length; i += 5000) {
+    const rows = await model
+      .find(
+        { species: { $in: speciesCandidates }, gene: { $in: candidates.slice(i, i + 5000) } },
+        { gene: 1, [termField]: 1, description: 1 }
+      )
+      .lean()
+      .exec();
+    for (const row of rows) {
+      const term = String(row[termField] || "").trim();
+      if (!term) {
+        continue;
+      }
+      if (row.description && !descriptions.has(term)) {
+        descriptions.set(term, row.description);
+      }
+      for (const gene of idsByCandidate.get(row.gene) || []) {
+        if (!terms.has(gene)) {
+          terms.set(gene, new Set());
+        }
+        terms.get(gene).add(term);
+      }
+    }
+  }
+  return { terms, descriptions };
+}
+
+async function countGeneAnnotations({ side, species, genes }) {
+  const models = getAnnotationModels();
+  const counted = Object.entries(models)
+    .filter(([, bySide]) => bySide[side])
+    .map(([type, bySide]) => [type.toLowerCase(), bySide[side]]);
+  const counts = new Map(genes.map((gene) => [gene, Object.fromEntries(counted.map(([type]) => [type, 0]))]));
+  if (genes.length === 0 || !species) {
+    return counts;
+  }
+
+  const idsByCandidate = mapGeneCandidates(genes);
+  const match = {
+    species: { $in: buildSpeciesCandidates(species) },
+    gene: { $in: Array.from(idsByCandidate.keys()) }
+  };
+  await Promise.all(
+    counted.map(async ([type, model]) => {
+      const rows = await model.aggregate([{ $match: match }, { $group: { _id: "$gene", n: { $sum: 1 } } }]);
+      for (const row of rows) {
+        for (const gene of idsByCandidate.get(row._id) || []) {
+          counts.get(gene)[type] += row.n;
+        }
+      }
+    })
+  );
+  return counts;
+}
+
 async function countBySpeciesWithFallback(model, speciesValue) {
   const exactFilter = { species: ciExact(speciesValue) };
   const exactCount = await model.countDocuments(exactFilter);
@@ -515,6 +601,8 @@ module.exports = {
   listEffector,
   bundleAnnotation,
   findGenesFromKeyword,
+  fetchGeneTerms,
+  countGeneAnnotations,
   getPlantSnapshot,
   rebuildPlantSnapshots
 };
@@ -0,0 +1,299 @@
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+const { sortedUnique } = require("../utils/fingerprint");
+const { toGeneList } = require("../utils/genes");
+const { CATEGORY_WEIGHTS, DEFAULT_TIER_THRESHOLDS, scoreRowConfidence } = require("../utils/confidence");
+const {
+  pairKey,
+  parseGoldStandard,
+  countLabels,
+  rocAuc,
+  averagePrecision,
+  confusionAt,
+  thresholdCurve,
+  reliabilityCurve,
+  fitSimplexWeights,
+  thresholdForPrecision
+} = require("../utils/calibration");
+const { inferCategoryFromRows } = require("./resultService");
+const { resultCollectionExists, timestampFromResultId } = require("./resultRegistryService");
+const { resolveConfidenceProfile, createConfidenceProfile } = require("./confidenceProfileService");
+
+function asPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : fallback;
+}
+
+function asFraction(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= 1 ? parsed : fallback;
+}
+
+const CALIBRATION_MIN_PAIRS = asPositiveInt(process.env.CALIBRATION_MIN_PAIRS, 20);
+const TIER_MIN_PREDICTED = 5;
+const WEIGHT_KEYS = ["method", "source", "cross", "annotation"];
+const UNLABELED_MODES = ["ignore", "negative"];
+
+function roundMetric(value) {
+  return value === null || value === undefined ? null : Number(value.toFixed(4));
+}
+
+async function resolveResultCategory(resultId) {
+  if (!timestampFromResultId(resultId)) {
+    throw new HttpError(400, `Invalid result id: ${resultId}`);
+  }
+  if (!(await resultCollectionExists(resultId))) {
+    throw new HttpError(404, `Result not found: ${resultId}`);
+  }
+  const resultsDb = useDb("hpinet_results");
+  const meta = await resultsDb.collection("result_meta").findOne({ _id: resultId }, { projection: { category: 1 } });
+  if (meta?.category) {
+    return meta.category;
+  }
+  const firstRow = await resultsDb.collection(resultId).findOne({ Host_Protein: { $exists: true } });
+  return inferCategoryFromRows(firstRow ? [firstRow] : [], "interolog");
+}
+
+function normalizeCalibrationParams(payload) {
+  const results = sortedUnique(toGeneList(payload.results));
+  if (results.length === 0) {
+    throw new HttpError(400, "Provide at least one result id in results");
+  }
+  const unlabeled = String(payload.unlabeled || "ignore").trim().toLowerCase();
+  if (!UNLABELED_MODES.includes(unlabeled)) {
+    throw new HttpError(400, `Invalid unlabeled: ${unlabeled}. Supported: ${UNLABELED_MODES.join(", ")}`);
+  }
+  const gold = parseGoldStandard(payload.pairs ?? payload.gold);
+  if (gold.size === 0) {
+    throw new HttpError(400, "Provide gold-standard pairs in gold (text) or pairs (array)");
+  }
+  const params = {
+    results,
+    gold,
+    unlabeled,
+    bins: Math.min(asPositiveInt(payload.bins, 10), 50),
+    highPrecision: asFraction(payload.highPrecision, 0.9),
+    mediumPrecision: asFraction(payload.mediumPrecision, 0.7),
+    profile: payload.profile,
+    saveAs: payload.saveAs ? String(payload.saveAs).trim() : ""
+  };
+  if (params.mediumPrecision > params.highPrecision) {
+    throw new HttpError(400, "mediumPrecision must not exceed highPrecision");
+  }
+  return params;
+}
+
+// Keeps the best-scoring row per labelled pair; unlabelled pairs are only
+// read when they count as negatives.
+async function collectCategoryPairs({ resultIds, gold, unlabeled, profile, byCategory }) {
+  const resultsDb = useDb("hpinet_results");
+  const goldHosts = sortedUnique(Array.from(gold.keys(), (key) => key.split("\t")[0]));
+  const filter = unlabeled === "negative"
+    ? { Host_Protein: { $exists: true } }
+    : { Host_Protein: { $in: goldHosts } };
+
+  for (const resultId of resultIds) {
+    const category = await resolveResultCategory(resultId);
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { results: [], pairs: new Map() });
+    }
+    const entry = byCategory.get(category);
+    entry.results.push(resultId);
+    const cursor = resultsDb.collection(resultId).find(filter).batchSize(1000);
+    for await (const row of cursor) {
+      if (!row.Host_Protein || !row.Pathogen_Protein) {
+        continue;
+      }
+      const key = pairKey(row.Host_Protein, row.Pathogen_Protein);
+      const label = gold.has(key) ? gold.get(key) : unlabeled === "negative" ? 0 : null;
+      if (label === null) {
+        continue;
+      }
+      const scored = scoreRowConfidence(row, category, profile);
+      const existing = entry.pairs.get(key);
+      if (!existing || scored.Confidence > existing.score) {
+        entry.pairs.set(key, {
+          label,
+          score: scored.Confidence,
+          features: WEIGHT_KEYS.map((name) => scored.ConfidenceComponents[name])
+        });
+      }
+    }
+  }
+}
+
+function summarizeTier(samples, threshold) {
+  const point = confusionAt(samples, threshold);
+  return {
+    threshold,
+    predicted: point.predicted,
+    precision: roundMetric(point.precision),
+    recall: roundMetric(point.recall),
+    f1: roundMetric(point.f1)
+  };
+}
+
+function evaluate(samples, thresholds, bins) {
+  const reliability = reliabilityCurve(samples, bins);
+  return {
+    rocAuc: roundMetric(rocAuc(samples)),
+    prAuc: roundMetric(averagePrecision(samples)),
+    brier: roundMetric(reliability.brier),
+    ece: roundMetric(reliability.ece),
+    tiers: {
+      high: summarizeTier(samples, thresholds.high),
+      medium: summarizeTier(samples, thresholds.medium)
+    },
+    reliability: reliability.bins.map((bin) => ({
+      ...bin,
+      meanConfidence: roundMetric(bin.meanConfidence),
+      observedRate: roundMetric(bin.observedRate)
+    })),
+    curve: thresholdCurve(samples).map((point) => ({
+      threshold: point.threshold,
+      predicted: point.predicted,
+      precision: roundMetric(point.precision),
+      recall: roundMetric(point.recall),
+      fpr: roundMetric(point.fpr)
+    }))
+  };
+}
+
+function fitCategory(observed, currentWeights) {
+  const { positives, negatives } = countLabels(observed);
+  if (observed.length < CALIBRATION_MIN_PAIRS || positives === 0 || negatives === 0) {
+    return {
+      weights: null,
+      reason: `Needs at least ${CALIBRATION_MIN_PAIRS} matched pairs with both positive and negative labels`
+    };
+  }
+  const initial = WEIGHT_KEYS.map((name) => currentWeights[name]);
+  const fitted = fitSimplexWeights(observed, initial).map((w) => Number(w.toFixed(4)));
+  const largest = fitted.indexOf(Math.max(...fitted));
+  fitted[largest] = Number((fitted[largest] + 1 - fitted.reduce((sum, w) => sum + w, 0)).toFixed(4));
+  const weights = Object.fromEntries(WEIGHT_KEYS.map((name, i) => [name, fitted[i]]));
+  return { weights };
+}
+
+function rescore(samples, weights) {
+  return samples.map((sample) => ({
+    label: sample.label,
+    score: sample.features
+      ? Number(WEIGHT_KEYS.reduce((sum, name, i) => sum + sample.features[i] * weights[name], 0).toFixed(4))
+      : 0
+  }));
+}
+
+function suggestThresholds(samples, { highPrecision, mediumPrecision }) {
+  const high = thresholdForPrecision(samples, highPrecision, TIER_MIN_PREDICTED);
+  const medium = thresholdForPrecision(samples, mediumPrecision, TIER_MIN_PREDICTED);
+  const thresholds = {
+    high: high === null ? DEFAULT_TIER_THRESHOLDS.high : Number(high.toFixed(4)),
+    medium: medium === null ? DEFAULT_TIER_THRESHOLDS.medium : Number(medium.toFixed(4))
+  };
+  thresholds.medium = Math.min(thresholds.medium, thresholds.high);
+  return {
+    ...thresholds,
+    fallback: { high: high === null, medium: medium === null }
+  };
+}
+
+async function calibrateConfidence(payload) {
+  const params = normalizeCalibrationParams(payload || {});
+  const profile = await resolveConfidenceProfile(params.profile);
+  const thresholds = { ...DEFAULT_TIER_THRESHOLDS, ...(profile?.tierThresholds || {}) };
+  const byCategory = new Map();
+  await collectCategoryPairs({
+    resultIds: params.results,
+    gold: params.gold,
+    unlabeled: params.unlabeled,
+    profile,
+    byCategory
+  });
+
+  const categories = [];
+  const fittedWeights = {};
+  const pooled = [];
+  for (const [category, entry] of byCategory) {
+    const observed = Array.from(entry.pairs.values());
+    const missing = [];
+    for (const [key, label] of params.gold) {
+      if (!entry.pairs.has(key)) {
+        missing.push({ label, score: 0, features: null });
+      }
+    }
+    const samples = observed.concat(missing);
+    const counts = countLabels(samples);
+    const missingCounts = countLabels(missing);
+    const currentWeights = {
+      ...(CATEGORY_WEIGHTS[category] || CATEGORY_WEIGHTS.default),
+      ...(profile?.categoryWeights?.[category] || {})
+    };
+    const fit = fitCategory(observed, currentWeights);
+    let fitted = null;
+    if (fit.weights) {
+      fittedWeights[category] = fit.weights;
+      const refit = rescore(samples, fit.weights);
+      pooled.push(...refit);
+      const reliability = reliabilityCurve(refit, params.bins);
+      fitted = {
+        weights: fit.weights,
+        rocAuc: roundMetric(rocAuc(refit)),
+        prAuc: roundMetric(averagePrecision(refit)),
+        brier: roundMetric(reliability.brier),
+        ece: roundMetric(reliability.ece)
+      };
+    }
+    categories.push({
+      category,
+      results: entry.results,
+      pairs: samples.length,
+      positives: counts.positives,
+      negatives: counts.negatives,
+      matched: observed.length,
+      missingPositives: missingCounts.positives,
+      missingNegatives: missingCounts.negatives,
+      weights: currentWeights,
+      ...evaluate(samples, thresholds, params.bins),
+      fitted: fitted || { weights: null, reason: fit.reason }
+    });
+  }
+
+  const suggestedThresholds = pooled.length > 0
+    ? suggestThresholds(pooled, params)
+    : { ...thresholds, fallback: { high: true, medium: true } };
+  const { fallback, ...tierThresholds } = suggestedThresholds;
+  const suggestedProfile = {
+    name: params.saveAs || null,
+    description: `Calibrated on ${params.results.join(", ")} against ${params.gold.size} gold-standard pairs`,
+    sourceWeights: profile?.sourceWeights || {},
+    categoryWeights: { ...(profile?.categoryWeights || {}), ...fittedWeights },
+    tierThresholds
+  };
+  if (profile?.defaultSourceWeight !== undefined) {
+    suggestedProfile.defaultSourceWeight = profile.defaultSourceWeight;
+  }
+
+  let saved = null;
+  if (params.saveAs) {
+    if (Object.keys(fittedWeights).length === 0) {
+      throw new HttpError(400, "No category had enough labelled pairs to fit weights; nothing to save");
+    }
+    saved = await createConfidenceProfile(suggestedProfile);
+  }
+
+  return {
+    profile: profile?.name || "default",
+    unlabeled: params.unlabeled,
+    goldPairs: params.gold.size,
+    targets: { highPrecision: params.highPrecision, mediumPrecision: params.mediumPrecision },
+    categories,
+    suggestedProfile: { ...suggestedProfile, thresholdFallback: fallback },
+    saved
+  };
+}
+
+module.exports = {
+  normalizeCalibrationParams,
+  calibrateConfidence
+};
@@ -0,0 +1,215 @@
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+const {
+  CATEGORY_WEIGHTS,
+  SOURCE_WEIGHTS,
+  DEFAULT_TIER_THRESHOLDS
+} = require("../utils/confidence");
+
+const DEFAULT_PROFILE = "default";
+const WEIGHT_KEYS = ["method", "source", "cross", "annotation"];
+const PROFILE_CACHE_TTL_MS = 10000;
+const profileCache = new Map();
+
+function getProfileCollection() {
+  return useDb("hpinet_results").collection("confidence_profiles");
+}
+
+function toProfileView(doc) {
+  const { _id, ...profile } = doc;
+  return { name: _id, ...profile };
+}
+
+function normalizeProfileName(name) {
+  const value = String(name || "").trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(value)) {
+    throw new HttpError(400, `Invalid profile name: ${name}. Use letters, digits, "-" or "_"`);
+  }
+  return value;
+}
+
+function asWeight(value, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 1) {
+    throw new HttpError(400, `${label} must be a number between 0 and 1`);
+  }
+  return n;
+}
+
+function validateCategoryWeights(input) {
+  if (input === undefined || input === null) {
+    return {};
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new HttpError(400, "categoryWeights must be an object keyed by category");
+  }
+  const result = {};
+  for (const [category, weights] of Object.entries(input)) {
+    const key = category.toLowerCase();
+    if (!CATEGORY_WEIGHTS[key]) {
+      throw new HttpError(400, `Unknown category in categoryWeights: ${category}. Supported: ${Object.keys(CATEGORY_WEIGHTS).join(", ")}`);
+    }
+    const merged = { ...CATEGORY_WEIGHTS[key], ...(weights || {}) };
+    const normalized = {};
+    for (const name of WEIGHT_KEYS) {
+      normalized[name] = asWeight(merged[name], `categoryWeights.${key}.${name}`);
+    }
+    const sum = WEIGHT_KEYS.reduce((total, name) => total + normalized[name], 0);
+    if (Math.abs(sum - 1) > 0.01) {
+      throw new HttpError(400, `categoryWeights.${key} must sum to 1 (got ${Number(sum.toFixed(4))})`);
+    }
+    result[key] = normalized;
+  }
+  return result;
+}
+
+function validateSourceWeights(input) {
+  if (input === undefined || input === null) {
+    return {};
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new HttpError(400, "sourceWeights must be an object keyed by interaction database");
+  }
+  const result = {};
+  for (const [source, weight] of Object.entries(input)) {
+    const key = source.trim().toLowerCase();
+    if (key) {
+      result[key] = asWeight(weight, `sourceWeights.${key}`);
+    }
+  }
+  return result;
+}
+
+function validateTierThresholds(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  const thresholds = { ...DEFAULT_TIER_THRESHOLDS, ...input };
+  const high = asWeight(thresholds.high, "tierThresholds.high");
+  const medium = asWeight(thresholds.medium, "tierThresholds.medium");
+  if (medium > high) {
+    throw new HttpError(400, "tierThresholds.medium must not exceed tierThresholds.high");
+  }
+  return { high, medium };
+}
+
+function validateProfileBody(body) {
+  const profile = {
+    description: String(body?.description || "").trim(),
+    sourceWeights: validateSourceWeights(body?.sourceWeights),
+    categoryWeights: validateCategoryWeights(body?.categoryWeights)
+  };
+  if (body?.defaultSourceWeight !== undefined && body.defaultSourceWeight !== null) {
+    profile.defaultSourceWeight = asWeight(body.defaultSourceWeight, "defaultSourceWeight");
+  }
+  const tierThresholds = validateTierThresholds(body?.tierThresholds);
+  if (tierThresholds) {
+    profile.tierThresholds = tierThresholds;
+  }
+  return profile;
+}
+
+function builtInProfile() {
+  return {
+    name: DEFAULT_PROFILE,
+    description: "Built-in weights",
+    builtIn: true,
+    sourceWeights: SOURCE_WEIGHTS,
+    categoryWeights: CATEGORY_WEIGHTS,
+    tierThresholds: DEFAULT_TIER_THRESHOLDS
+  };
+}
+
+function assertWritable(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new HttpError(400, "The default profile is built in and cannot be changed");
+  }
+}
+
+async function listConfidenceProfiles() {
+  const docs = await getProfileCollection().find({}).sort({ _id: 1 }).toArray();
+  return { profiles: [builtInProfile(), ...docs.map(toProfileView)] };
+}
+
+async function getConfidenceProfile(name) {
+  const id = normalizeProfileName(name);
+  if (id === DEFAULT_PROFILE) {
+    return builtInProfile();
+  }
+  const doc = await getProfileCollection().findOne({ _id: id });
+  if (!doc) {
+    throw new HttpError(404, `Confidence profile not found: ${name}`);
+  }
+  return toProfileView(doc);
+}
+
+async function createConfidenceProfile(body) {
+  const id = normalizeProfileName(body?.name);
+  assertWritable(id);
+  const now = new Date();
+  const doc = { _id: id, ...validateProfileBody(body), createdAt: now, updatedAt: now };
+  try {
+    await getProfileCollection().insertOne(doc);
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new HttpError(409, `Confidence profile already exists: ${id}`);
+    }
+    throw error;
+  }
+  profileCache.delete(id);
+  return toProfileView(doc);
+}
+
+async function updateConfidenceProfile(name, body) {
+  const id = normalizeProfileName(name);
+  assertWritable(id);
+  const profile = validateProfileBody(body);
+  const existing = await getProfileCollection().findOne({ _id: id }, { projection: { createdAt: 1 } });
+  const doc = existing && await getProfileCollection().findOneAndReplace(
+    { _id: id },
+    { ...profile, createdAt: existing.createdAt, updatedAt: new Date() },
+    { returnDocument: "after" }
+  );
+  if (!doc) {
+    throw new HttpError(404, `Confidence profile not found: ${name}`);
+  }
+  profileCache.delete(id);
+  return toProfileView(doc);
+}
+
+async function deleteConfidenceProfile(name) {
+  const id = normalizeProfileName(name);
+  assertWritable(id);
+  const result = await getProfileCollection().deleteOne({ _id: id });
+  if (result.deletedCount === 0) {
+    throw new HttpError(404, `Confidence profile not found: ${name}`);
+  }
+  profileCache.delete(id);
+  return { name: id, deleted: true };
+}
+
+async function resolveConfidenceProfile(name) {
+  if (name === undefined || name === null || String(name).trim() === "") {
+    return null;
+  }
+  const id = normalizeProfileName(name);
+  if (id === DEFAULT_PROFILE) {
+    return null;
+  }
+  const cached = profileCache.get(id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  const profile = await getConfidenceProfile(id);
+  profileCache.set(id, { value: profile, expiresAt: Date.now() + PROFILE_CACHE_TTL_MS });
+  return profile;
+}
+
+module.exports = {
+  listConfidenceProfiles,
+  getConfidenceProfile,
+  createConfidenceProfile,
+  updateConfidenceProfile,
+  deleteConfidenceProfile,
+  resolveConfidenceProfile
+};
@@ -7,6 +7,14 @@ const env = require("../config/env");
 const { HttpError } = require("../errors/HttpError");
 const { useDb } = require("../db/mongoose");
 const { toGeneList } = require("../utils/genes");
+const { throwIfCancelled, yieldToEventLoop } = require("../utils/cancellation");
+const { registerResult } = require("./resultRegistryService");
+const { sortedUnique } = require("../utils/fingerprint");
+const { scoreRowsConfidence } = require("../utils/confidence");
+
+// Host genes scored between event-loop yields, so cancellation, HTTP
+// requests and SSE progress are served while a large job runs.
+const GO_YIELD_EVERY = 50;
 
 const WANG_WEIGHTS = {
   is_a: 0.8,
@@ -706,19 +714,35 @@ async function fetchSpeciesGeneTerms({ collection, species, sptype, genes }) {
   return map;
 }
 
-async function persistGoResults(records) {
+async function persistGoResults(records, meta) {
   const resultsDb = useDb("hpinet_results");
   const name = `hpinet${Date.now()}results`;
   const collection = resultsDb.collection(name);
   if (records.length > 0) {
-    await collection.insertMany(records, { ordered: false });
+    await collection.insertMany(scoreRowsConfidence(records, meta.category), { ordered: false });
   } else {
     await collection.insertOne({ result: "no results" });
   }
+  await registerResult({ ...meta, resultId: name, rowCount: records.length });
   return name;
 }
 
-async function runGoSimJob(payload) {
+function normalizeGoSimParams(payload) {
+  return {
+    method: String(payload.method || "").trim().toLowerCase(),
+    score: String(payload.score || "").trim().toLowerCase(),
+    threshold: parseNumber(payload.threshold, 0),
+    hspecies: normalizeSpecies(payload.hspecies),
+    pspecies: normalizeSpecies(payload.pspecies),
+    hostGenes: sortedUnique(toGeneList(payload.host_genes)),
+    pathogenGenes: sortedUnique(toGeneList(payload.pathogen_genes))
+  };
+}
+
+async function runGoSimJob(payload, options = {}) {
+  const startedAt = Date.now();
+  const onProgress = options.onProgress || (() => {});
+  const { signal } = options;
   const methodName = String(payload.method || "").trim().toLowerCase();
   const scoreName = String(payload.score || "").trim().toLowerCase();
   const threshold = parseNumber(payload.threshold, 0);
@@ -740,8 +764,17 @@ async function runGoSimJob(payload) {
 
   const hostGenes = toGeneList(payload.host_genes);
   const pathogenGenes = toGeneList(payload.pathogen_genes);
+  const meta = {
+    category: "gosim",
+    host: hostSpecies,
+    pathogen: pathogenSpecies,
+    method: `${methodName}/${scoreName}`,
+    thresholds: { threshold },
+    geneCount: { host: hostGenes.length, pathogen: pathogenGenes.length },
+    startedAt
+  };
   if (hostGenes.length === 0 || pathogenGenes.length === 0) {
-    return persistGoResults([]);
+    return persistGoResults([], meta);
   }
 
   const hpinetDb = useDb("hpinetdb");
@@ -763,11 +796,24 @@ async function runGoSimJob(payload) {
   ]);
 
   if (hostMap.size === 0 || pathogenMap.size === 0) {
-    return persistGoResults([]);
+    return persistGoResults([], meta);
   }
 
   const results = [];
+  let hostIndex = 0;
   for (const hostRow of hostMap.values()) {
+    if (hostIndex % GO_YIELD_EVERY === 0) {
+      await yieldToEventLoop();
+    }
+    throwIfCancelled(signal);
+    hostIndex += 1;
+    onProgress({
+      stage: "gosim",
+      gene: hostRow.gene,
+      current: hostIndex,
+      total: hostMap.size,
+      rows: results.length
+    });
     if (!hostRow.terms || hostRow.terms.length === 0) {
       continue;
     }
@@ -790,9 +836,11 @@ async function runGoSimJob(payload) {
     }
   }
 
-  return persistGoResults(results);
+  onProgress({ stage: "persisting", rows: results.length });
+  return persistGoResults(results, meta);
 }
 
 module.exports = {
+  normalizeGoSimParams,
   runGoSimJob
 };
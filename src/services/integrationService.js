@@ -0,0 +1,189 @@
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+const { throwIfCancelled } = require("../utils/cancellation");
+const { sortedUnique } = require("../utils/fingerprint");
+const { toGeneList } = require("../utils/genes");
+const { methodsPresent, scoreRowConfidence, scoreRowsConfidence } = require("../utils/confidence");
+const { inferCategoryFromRows } = require("./resultService");
+const {
+  registerResult,
+  resultCollectionExists,
+  timestampFromResultId
+} = require("./resultRegistryService");
+
+const INTEGRATION_MODES = ["union", "agreement"];
+
+function normalizeIntegrationParams(payload) {
+  const results = sortedUnique(toGeneList(payload.results));
+  const mode = String(payload.mode || "union").trim().toLowerCase();
+  const minMethods = Math.max(1, Math.floor(Number(payload.minMethods) || (mode === "agreement" ? 2 : 1)));
+  return { results, mode, minMethods };
+}
+
+async function describeInput(resultId) {
+  if (!timestampFromResultId(resultId)) {
+    throw new HttpError(400, `Invalid result id: ${resultId}`);
+  }
+  if (!(await resultCollectionExists(resultId))) {
+    throw new HttpError(404, `Result not found: ${resultId}`);
+  }
+  const resultsDb = useDb("hpinet_results");
+  const meta = await resultsDb.collection("result_meta").findOne({ _id: resultId });
+  let category = meta?.category;
+  if (!category) {
+    const firstRow = await resultsDb.collection(resultId).findOne({ Host_Protein: { $exists: true } });
+    category = inferCategoryFromRows(firstRow ? [firstRow] : [], "interolog");
+  }
+  if (category === "integrated") {
+    throw new HttpError(400, `Result ${resultId} is already an integration result`);
+  }
+  return {
+    resultId,
+    category,
+    methods: methodsPresent(category),
+    host: meta?.host || "",
+    pathogen: meta?.pathogen || ""
+  };
+}
+
+function assertSamePair(inputs) {
+  const hosts = sortedUnique(inputs.map((input) => input.host.toLowerCase()).filter(Boolean));
+  const pathogens = sortedUnique(inputs.map((input) => input.pathogen.toLowerCase()).filter(Boolean));
+  if (hosts.length > 1 || pathogens.length > 1) {
+    throw new HttpError(400, "All results must be for the same host/pathogen pair", {
+      results: inputs.map(({ resultId, host, pathogen }) => ({ resultId, host, pathogen }))
+    });
+  }
+}
+
+async function validateIntegrationRequest(payload) {
+  const params = normalizeIntegrationParams(payload);
+  if (params.results.length < 2) {
+    throw new HttpError(400, "Provide at least two result ids in results");
+  }
+  if (!INTEGRATION_MODES.includes(params.mode)) {
+    throw new HttpError(400, `Invalid mode: ${params.mode}. Supported: ${INTEGRATION_MODES.join(", ")}`);
+  }
+  const inputs = await Promise.all(params.results.map(describeInput));
+  assertSamePair(inputs);
+  return { params, inputs };
+}
+
+function splitField(value) {
+  return String(value ?? "")
+    .split(/[;,|]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function mergeRow(pairs, input, row) {
+  const key = `${row.Host_Protein}\t${row.Pathogen_Protein}`;
+  let pair = pairs.get(key);
+  if (!pair) {
+    pair = {
+      Host_Protein: row.Host_Protein,
+      Pathogen_Protein: row.Pathogen_Protein,
+      methods: new Set(),
+      scores: {},
+      results: new Set(),
+      sources: new Set(),
+      pmids: new Set()
+    };
+    pairs.set(key, pair);
+  }
+  const scored = scoreRowConfidence(row, input.category);
+  for (const method of input.methods) {
+    pair.methods.add(method);
+    pair.scores[method] = Math.max(pair.scores[method] ?? 0, scored.Confidence);
+  }
+  pair.results.add(input.resultId);
+  for (const source of scored.EvidenceSources) {
+    pair.sources.add(source);
+  }
+  for (const pmid of splitField(row.PMID)) {
+    pair.pmids.add(pmid);
+  }
+}
+
+async function persistIntegratedResults(records, meta) {
+  const resultsDb = useDb("hpinet_results");
+  const name = `hpinet${Date.now()}results`;
+  const collection = resultsDb.collection(name);
+  if (records.length > 0) {
+    await collection.insertMany(scoreRowsConfidence(records, meta.category), { ordered: false });
+  } else {
+    await collection.insertOne({ result: "no results" });
+  }
+  await registerResult({ ...meta, resultId: name, rowCount: records.length });
+  return name;
+}
+
+async function runIntegrationJob(payload, options = {}) {
+  const startedAt = Date.now();
+  const onProgress = options.onProgress || (() => {});
+  const { signal } = options;
+  const { params, inputs } = await validateIntegrationRequest(payload);
+  const resultsDb = useDb("hpinet_results");
+  const pairs = new Map();
+
+  for (let i = 0; i < inputs.length; i += 1) {
+    const input = inputs[i];
+    throwIfCancelled(signal);
+    onProgress({
+      stage: "integrate",
+      resultId: input.resultId,
+      current: i + 1,
+      total: inputs.length,
+      rows: pairs.size
+    });
+    let scanned = 0;
+    const cursor = resultsDb.collection(input.resultId).find({ Host_Protein: { $exists: true } }).batchSize(1000);
+    for await (const row of cursor) {
+      if (!row.Host_Protein || !row.Pathogen_Protein) {
+        continue;
+      }
+      mergeRow(pairs, input, row);
+      scanned += 1;
+      if (scanned % 10000 === 0) {
+        throwIfCancelled(signal);
+      }
+    }
+  }
+
+  const records = [];
+  for (const pair of pairs.values()) {
+    if (params.mode === "agreement" && pair.methods.size < params.minMethods) {
+      continue;
+    }
+    const methods = Array.from(pair.methods).sort();
+    records.push({
+      Host_Protein: pair.Host_Protein,
+      Pathogen_Protein: pair.Pathogen_Protein,
+      SupportingMethods: methods,
+      MethodCount: methods.length,
+      MethodScores: pair.scores,
+      SupportingResults: Array.from(pair.results).sort(),
+      intdb_x: Array.from(pair.sources).sort().join(";"),
+      PMID: Array.from(pair.pmids).sort().join("|")
+    });
+  }
+
+  throwIfCancelled(signal);
+  onProgress({ stage: "persisting", rows: records.length });
+  const methodCount = sortedUnique(inputs.flatMap((input) => input.methods)).length;
+  return persistIntegratedResults(records, {
+    category: "integrated",
+    host: inputs.find((input) => input.host)?.host || "",
+    pathogen: inputs.find((input) => input.pathogen)?.pathogen || "",
+    method: params.mode === "union" ? "union" : `${params.minMethods}-of-${methodCount}`,
+    thresholds: { minMethods: params.mode === "union" ? 1 : params.minMethods },
+    inputs: inputs.map(({ resultId, category }) => ({ resultId, category })),
+    startedAt
+  });
+}
+
+module.exports = {
+  normalizeIntegrationParams,
+  validateIntegrationRequest,
+  runIntegrationJob
+};
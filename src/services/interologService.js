@@ -2,6 +2,21 @@ const env = require("../config/env");
 const { useDb } = require("../db/mongoose");
 const { HttpError } = require("../errors/HttpError");
 const { toGeneList } = require("../utils/genes");
+const { throwIfCancelled } = require("../utils/cancellation");
+const { forEachOrdered, createOrderedLanes } = require("../utils/concurrency");
+const { sortedUnique } = require("../utils/fingerprint");
+const { registerResult } = require("./resultRegistryService");
+const { normalizeRawConfidence, scoreRowsConfidence } = require("../utils/confidence");
+
+const PPI_PROJECTION = {
+  _id: 0,
+  ProteinA: 1,
+  ProteinB: 1,
+  Method: 1,
+  Type: 1,
+  Confidence: 1,
+  PMID: 1
+};
 
 function assertSafeIdentifier(name, label) {
   const value = String(name || "").trim();
@@ -29,10 +44,40 @@ function chunk(values, size = 400) {
   return groups;
 }
 
-function dedupeRows(rows) {
+// Template PPI fields; everything else on an interolog row is derived from
+// the host/pathogen hits, which are fixed per (qseqid, sseqid).
+function ppiKey(row) {
+  return [row.ProteinA, row.ProteinB, row.Method, row.Type, row.Confidence, row.PMID].join("\t");
+}
+
+function interologKey(row) {
+  return [row.Host_Protein, row.Pathogen_Protein, row.intdb_x, ppiKey(row)].join("\t");
+}
+
+function consensusKey(row) {
+  return [
+    row.Host_Protein,
+    row.Pathogen_Protein,
+    row.intdb_x,
+    row.ProteinA_x,
+    row.ProteinB_x,
+    row.Method,
+    row.Type,
+    row.Confidence,
+    row.PMID,
+    row.ProteinA_y,
+    row.ProteinB_y,
+    row.intdb,
+    row.score,
+    row.DomianA_interpro,
+    row.DomianB_interpro
+  ].join("\t");
+}
+
+function dedupeRows(rows, keyOf) {
   const seen = new Set();
   return rows.filter((row) => {
-    const key = JSON.stringify(row);
+    const key = keyOf(row);
     if (seen.has(key)) {
       return false;
     }
@@ -51,22 +96,67 @@ function getCollectionName() {
   return `hpinet${Date.now()}results`;
 }
 
-async function persistResults(records) {
+// Scores and inserts rows in batches of RESULT_INSERT_BATCH_SIZE as they are
+// produced, so a job never holds its whole result set in memory.
+function createResultWriter(category, onFlush = () => {}) {
   const resultsDb = useDb("hpinet_results");
-  const collectionName = getCollectionName();
-  const collection = resultsDb.collection(collectionName);
-  if (records.length > 0) {
-    await collection.insertMany(records, { ordered: false });
-  } else {
-    await collection.insertOne({ result: "no results" });
+  const resultId = getCollectionName();
+  const collection = resultsDb.collection(resultId);
+  let buffer = [];
+  let written = 0;
+  let discarded = false;
+
+  async function flush() {
+    if (discarded || buffer.length === 0) {
+      return;
+    }
+    const batch = buffer;
+    buffer = [];
+    await collection.insertMany(scoreRowsConfidence(batch, category), { ordered: false });
+    written += batch.length;
+    onFlush(written);
   }
-  return collectionName;
+
+  return {
+    resultId,
+    get written() {
+      return written;
+    },
+    async write(rows) {
+      if (discarded) {
+        throw new Error(`Result ${resultId} was discarded`);
+      }
+      for (const row of rows) {
+        buffer.push(row);
+        if (buffer.length >= env.RESULT_INSERT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+    },
+    async finish(meta) {
+      await flush();
+      if (written === 0) {
+        await collection.insertOne({ result: "no results" });
+      }
+      await registerResult({ ...meta, resultId, rowCount: written });
+      return resultId;
+    },
+    async discard() {
+      discarded = true;
+      buffer = [];
+      try {
+        await resultsDb.dropCollection(resultId);
+      } catch (_) {
+        // nothing was written yet
+      }
+    }
+  };
 }
 
 function blastQuery({ table, ident, coverage, evalue, intdb, genes }) {
   const safeTable = assertSafeIdentifier(table, "blast table");
   const params = [Number(ident || 0), Number(evalue || 0), Number(coverage || 0), String(intdb)];
-  let sql = `SELECT qseqid, sseqid, intdb FROM ${safeTable} WHERE pident >= ? AND evalue <= ? AND qcovs >= ? AND intdb = ?`;
+  let sql = `SELECT qseqid, sseqid, intdb, pident, evalue, qcovs, bitscore FROM ${safeTable} WHERE pident >= ? AND evalue <= ? AND qcovs >= ? AND intdb = ?`;
 
   if (genes && genes.length > 0) {
     sql += ` AND qseqid IN (${genes.map(() => "?").join(",")})`;
@@ -89,11 +179,13 @@ async function fetchBlastRowsMongo(mongoDb, options) {
   }
   return mongoDb
     .collection(safeTable)
-    .find(query, { projection: { _id: 0, qseqid: 1, sseqid: 1, intdb: 1 } })
+    .find(query, {
+      projection: { _id: 0, qseqid: 1, sseqid: 1, intdb: 1, pident: 1, evalue: 1, qcovs: 1, bitscore: 1 }
+    })
     .toArray();
 }
 
-async function fetchPpiRowsMongo(mongoDb, ppiTableName, hostSseqList, pathogenSseqList) {
+async function fetchPpiRowsMongo(mongoDb, ppiTableName, hostSseqList, pathogenSseqList, signal) {
   const safeTable = assertSafeIdentifier(ppiTableName, "ppi table");
   if (hostSseqList.length === 0 || pathogenSseqList.length === 0) {
     return [];
@@ -106,6 +198,7 @@ async function fetchPpiRowsMongo(mongoDb, ppiTableName, hostSseqList, pathogenSs
 
   for (const hostChunk of hostChunks) {
     for (const pathogenChunk of pathogenChunks) {
+      throwIfCancelled(signal);
       const query = {
         $or: [
           {
@@ -118,88 +211,306 @@ async function fetchPpiRowsMongo(mongoDb, ppiTableName, hostSseqList, pathogenSs
           }
         ]
       };
-      const chunkRows = await collection
-        .find(query, {
-          projection: {
-            _id: 0,
-            ProteinA: 1,
-            ProteinB: 1,
-            Method: 1,
-            Type: 1,
-            Confidence: 1,
-            PMID: 1
-          }
-        })
-        .toArray();
+      const chunkRows = await collection.find(query, { projection: PPI_PROJECTION }).toArray();
       appendRows(rows, chunkRows);
     }
   }
 
-  return dedupeRows(rows);
+  return dedupeRows(rows, ppiKey);
 }
 
-function buildSseqIndex(rows, field = "sseqid", value = "qseqid") {
+// Reads each PPI row at most once per query: the smaller sseqid set drives
+// $in chunks on either column (or a full scan past PPI_SCAN_THRESHOLD) and
+// both orientations are matched in memory against the two sets.
+async function fetchPpiRowsStreamed(mongoDb, ppiTableName, hostSseqList, pathogenSseqList, signal) {
+  const safeTable = assertSafeIdentifier(ppiTableName, "ppi table");
+  if (hostSseqList.length === 0 || pathogenSseqList.length === 0) {
+    return [];
+  }
+
+  const hostSet = new Set(hostSseqList);
+  const pathogenSet = new Set(pathogenSseqList);
+  const probe = hostSet.size <= pathogenSet.size ? Array.from(hostSet) : Array.from(pathogenSet);
+  const queries = probe.length > env.PPI_SCAN_THRESHOLD
+    ? [{}]
+    : chunk(probe, env.PPI_IN_CHUNK_SIZE).map((ids) => ({
+        $or: [{ ProteinA: { $in: ids } }, { ProteinB: { $in: ids } }]
+      }));
+  const rows = [];
+  const collection = mongoDb.collection(safeTable);
+
+  for (const query of queries) {
+    throwIfCancelled(signal);
+    let scanned = 0;
+    const cursor = collection.find(query, { projection: PPI_PROJECTION }).batchSize(2000);
+    for await (const row of cursor) {
+      scanned += 1;
+      if (scanned % 10000 === 0) {
+        throwIfCancelled(signal);
+      }
+      if (
+        (hostSet.has(row.ProteinA) && pathogenSet.has(row.ProteinB)) ||
+        (pathogenSet.has(row.ProteinA) && hostSet.has(row.ProteinB))
+      ) {
+        rows.push(row);
+      }
+    }
+  }
+
+  return dedupeRows(rows, ppiKey);
+}
+
+function fetchPpiRows(mongoDb, ppiTableName, hostSseqList, pathogenSseqList, signal) {
+  const fetcher = env.INTEROLOG_JOIN === "chunked" ? fetchPpiRowsMongo : fetchPpiRowsStreamed;
+  return fetcher(mongoDb, ppiTableName, hostSseqList, pathogenSseqList, signal);
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compareStat(a, b, missing) {
+  const x = toNumberOrNull(a) ?? missing;
+  const y = toNumberOrNull(b) ?? missing;
+  return x === y ? 0 : x - y;
+}
+
+function compareHits(a, b) {
+  return (
+    compareStat(a.bitscore, b.bitscore, -Infinity) ||
+    compareStat(a.pident, b.pident, -Infinity) ||
+    compareStat(b.evalue, a.evalue, Infinity)
+  );
+}
+
+// sseqid -> (qseqid -> best BLAST hit), keeping one hit per query/subject.
+function buildHitIndex(rows) {
   const index = new Map();
   for (const row of rows) {
-    const key = row[field];
-    const val = row[value];
-    if (!key || !val) {
+    if (!row.sseqid || !row.qseqid) {
       continue;
     }
-    const list = index.get(key) || [];
-    list.push(val);
-    index.set(key, list);
+    let hits = index.get(row.sseqid);
+    if (!hits) {
+      hits = new Map();
+      index.set(row.sseqid, hits);
+    }
+    const existing = hits.get(row.qseqid);
+    if (!existing || compareHits(row, existing) > 0) {
+      hits.set(row.qseqid, row);
+    }
   }
   return index;
 }
 
-function buildInterologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows) {
-  const hostBySseq = buildSseqIndex(hostBlastRows);
-  const pathogenBySseq = buildSseqIndex(pathogenBlastRows);
-  const results = [];
+function hitStats(hit) {
+  return {
+    Identity: toNumberOrNull(hit.pident),
+    Evalue: toNumberOrNull(hit.evalue),
+    Coverage: toNumberOrNull(hit.qcovs),
+    Bitscore: toNumberOrNull(hit.bitscore)
+  };
+}
+
+function interologRow(interologDb, ppi, hostHit, pathogenHit) {
+  const host = hitStats(hostHit);
+  const pathogen = hitStats(pathogenHit);
+  return {
+    Host_Protein: hostHit.qseqid,
+    Pathogen_Protein: pathogenHit.qseqid,
+    ProteinA: ppi.ProteinA,
+    ProteinB: ppi.ProteinB,
+    intdb_x: interologDb,
+    Method: ppi.Method,
+    Type: ppi.Type,
+    Confidence: ppi.Confidence,
+    PMID: ppi.PMID,
+    HostIdentity: host.Identity,
+    HostEvalue: host.Evalue,
+    HostCoverage: host.Coverage,
+    HostBitscore: host.Bitscore,
+    PathogenIdentity: pathogen.Identity,
+    PathogenEvalue: pathogen.Evalue,
+    PathogenCoverage: pathogen.Coverage,
+    PathogenBitscore: pathogen.Bitscore
+  };
+}
+
+function sumStats(a, b) {
+  const x = toNumberOrNull(a);
+  const y = toNumberOrNull(b);
+  return x === null || y === null ? null : x + y;
+}
+
+// Best combined bitscore wins; on ties the row whose weaker side has the lower evalue.
+function compareInterologRows(a, b) {
+  return (
+    compareStat(
+      sumStats(a.HostBitscore, a.PathogenBitscore),
+      sumStats(b.HostBitscore, b.PathogenBitscore),
+      -Infinity
+    ) ||
+    compareStat(
+      Math.max(b.HostEvalue ?? Infinity, b.PathogenEvalue ?? Infinity),
+      Math.max(a.HostEvalue ?? Infinity, a.PathogenEvalue ?? Infinity),
+      Infinity
+    )
+  );
+}
+
+function keepBestRow(rowsByKey, row) {
+  const key = interologKey(row);
+  const existing = rowsByKey.get(key);
+  if (!existing || compareInterologRows(row, existing) > 0) {
+    rowsByKey.set(key, row);
+  }
+}
+
+// Duplicate interolog keys only come from one template PPI matching in both
+// orientations (ppiRows are already unique by ppiKey), so they are collapsed per PPI
+// and rows can be yielded as soon as each PPI is done.
+function* interologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows) {
+  const hostBySseq = buildHitIndex(hostBlastRows);
+  const pathogenBySseq = buildHitIndex(pathogenBlastRows);
 
   for (const ppi of ppiRows) {
-    const hostFromA = hostBySseq.get(ppi.ProteinA) || [];
-    const pathogenFromB = pathogenBySseq.get(ppi.ProteinB) || [];
-    for (const hostProtein of hostFromA) {
-      for (const pathogenProtein of pathogenFromB) {
-        results.push({
-          Host_Protein: hostProtein,
-          Pathogen_Protein: pathogenProtein,
-          ProteinA: ppi.ProteinA,
-          ProteinB: ppi.ProteinB,
-          intdb_x: interologDb,
-          Method: ppi.Method,
-          Type: ppi.Type,
-          Confidence: ppi.Confidence,
-          PMID: ppi.PMID
-        });
+    const rowsByKey = new Map();
+    const hostFromA = hostBySseq.get(ppi.ProteinA) || new Map();
+    const pathogenFromB = pathogenBySseq.get(ppi.ProteinB) || new Map();
+    for (const hostHit of hostFromA.values()) {
+      for (const pathogenHit of pathogenFromB.values()) {
+        keepBestRow(rowsByKey, interologRow(interologDb, ppi, hostHit, pathogenHit));
       }
     }
 
-    const hostFromB = hostBySseq.get(ppi.ProteinB) || [];
-    const pathogenFromA = pathogenBySseq.get(ppi.ProteinA) || [];
-    for (const hostProtein of hostFromB) {
-      for (const pathogenProtein of pathogenFromA) {
-        results.push({
-          Host_Protein: hostProtein,
-          Pathogen_Protein: pathogenProtein,
-          ProteinA: ppi.ProteinA,
-          ProteinB: ppi.ProteinB,
-          intdb_x: interologDb,
-          Method: ppi.Method,
-          Type: ppi.Type,
-          Confidence: ppi.Confidence,
-          PMID: ppi.PMID
-        });
+    const hostFromB = hostBySseq.get(ppi.ProteinB) || new Map();
+    const pathogenFromA = pathogenBySseq.get(ppi.ProteinA) || new Map();
+    for (const hostHit of hostFromB.values()) {
+      for (const pathogenHit of pathogenFromA.values()) {
+        keepBestRow(rowsByKey, interologRow(interologDb, ppi, hostHit, pathogenHit));
       }
     }
+    yield* rowsByKey.values();
   }
+}
 
-  return dedupeRows(results);
+function buildInterologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows) {
+  return Array.from(interologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows));
 }
 
-async function fetchDomainRowsMongo(mongoDb, table, idType, genes, domdbList) {
+const SIDE_STATS = ["Identity", "Evalue", "Coverage", "Bitscore"];
+
+function emptySideStats() {
+  return { Identity: null, Evalue: null, Coverage: null, Bitscore: null };
+}
+
+function keepBestStats(side, row, prefix) {
+  for (const stat of SIDE_STATS) {
+    const value = row[`${prefix}${stat}`];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const better = stat === "Evalue" ? value < side[stat] : value > side[stat];
+    if (side[stat] === null || better) {
+      side[stat] = value;
+    }
+  }
+}
+
+function addSplitValues(target, value) {
+  for (const item of String(value ?? "").split("|")) {
+    const v = item.trim();
+    if (v) {
+      target.add(v);
+    }
+  }
+}
+
+// Collapses template-level rows into one entry per predicted pair, keeping
+// the best BLAST statistic of each side across templates.
+function aggregateInterologRows(pairs, interologDb, rows) {
+  for (const row of rows) {
+    const key = `${row.Host_Protein}\t${row.Pathogen_Protein}`;
+    let pair = pairs.get(key);
+    if (!pair) {
+      pair = {
+        Host_Protein: row.Host_Protein,
+        Pathogen_Protein: row.Pathogen_Protein,
+        best: null,
+        bestScore: -1,
+        templates: new Map(),
+        databases: new Set(),
+        methods: new Set(),
+        types: new Set(),
+        pmids: new Set(),
+        host: emptySideStats(),
+        pathogen: emptySideStats()
+      };
+      pairs.set(key, pair);
+    }
+    const templateKey = [row.ProteinA, row.ProteinB, interologDb, row.Method, row.Type, row.PMID].join("\t");
+    if (!pair.templates.has(templateKey)) {
+      pair.templates.set(templateKey, {
+        ProteinA: row.ProteinA,
+        ProteinB: row.ProteinB,
+        intdb: interologDb,
+        Method: row.Method ?? null,
+        Type: row.Type ?? null,
+        Confidence: row.Confidence ?? null,
+        PMID: row.PMID ?? null
+      });
+    }
+    const score = normalizeRawConfidence(row.Confidence) ?? 0;
+    if (score > pair.bestScore) {
+      pair.best = row;
+      pair.bestScore = score;
+    }
+    pair.databases.add(interologDb);
+    addSplitValues(pair.methods, row.Method);
+    addSplitValues(pair.types, row.Type);
+    addSplitValues(pair.pmids, row.PMID);
+    keepBestStats(pair.host, row, "Host");
+    keepBestStats(pair.pathogen, row, "Pathogen");
+  }
+}
+
+function finalizeAggregatedRows(pairs) {
+  const rows = [];
+  for (const pair of pairs.values()) {
+    const databases = Array.from(pair.databases).sort();
+    const methods = Array.from(pair.methods).sort();
+    rows.push({
+      Host_Protein: pair.Host_Protein,
+      Pathogen_Protein: pair.Pathogen_Protein,
+      ProteinA: pair.best.ProteinA,
+      ProteinB: pair.best.ProteinB,
+      intdb_x: databases.join(";"),
+      Method: methods.join("|"),
+      Type: Array.from(pair.types).sort().join("|"),
+      Confidence: pair.best.Confidence,
+      PMID: Array.from(pair.pmids).sort().join("|"),
+      EvidenceCount: pair.templates.size,
+      Databases: databases,
+      Methods: methods,
+      Templates: Array.from(pair.templates.values()),
+      HostIdentity: pair.host.Identity,
+      HostEvalue: pair.host.Evalue,
+      HostCoverage: pair.host.Coverage,
+      HostBitscore: pair.host.Bitscore,
+      PathogenIdentity: pair.pathogen.Identity,
+      PathogenEvalue: pair.pathogen.Evalue,
+      PathogenCoverage: pair.pathogen.Coverage,
+      PathogenBitscore: pair.pathogen.Bitscore
+    });
+  }
+  return rows;
+}
+
+async function fetchDomainRowsMongo(mongoDb, table, geneFilters, domdbList) {
   const safeTable = assertSafeIdentifier(table, "domain table");
   const safeDomdb = domdbList.map((item) => String(item).trim().toUpperCase()).filter(Boolean);
 
@@ -210,10 +521,11 @@ async function fetchDomainRowsMongo(mongoDb, table, idType, genes, domdbList) {
   const query = {
     intdb: { $in: safeDomdb }
   };
-  if (genes.length > 0 && idType === "host") {
-    query.Host_Protein = { $in: genes };
-  } else if (genes.length > 0 && idType === "pathogen") {
-    query.Pathogen_Protein = { $in: genes };
+  if (geneFilters.host.length > 0) {
+    query.Host_Protein = { $in: geneFilters.host };
+  }
+  if (geneFilters.pathogen.length > 0) {
+    query.Pathogen_Protein = { $in: geneFilters.pathogen };
   }
 
   const rows = await mongoDb
@@ -253,7 +565,7 @@ async function fetchDomainRowsMongo(mongoDb, table, idType, genes, domdbList) {
   }));
 }
 
-function mergeConsensus(interologRows, domainRows) {
+function indexDomainRows(domainRows) {
   const domainByPair = new Map();
   for (const row of domainRows) {
     const key = `${row.Host_Protein}||${row.Pathogen_Protein}`;
@@ -261,40 +573,103 @@ function mergeConsensus(interologRows, domainRows) {
     list.push(row);
     domainByPair.set(key, list);
   }
+  return domainByPair;
+}
 
-  const merged = [];
-  for (const row of interologRows) {
-    const key = `${row.Host_Protein}||${row.Pathogen_Protein}`;
-    const matches = domainByPair.get(key) || [];
-    for (const d of matches) {
-      merged.push({
-        Host_Protein: row.Host_Protein,
-        Pathogen_Protein: row.Pathogen_Protein,
-        ProteinA_x: row.ProteinA,
-        ProteinB_x: row.ProteinB,
-        intdb_x: row.intdb_x,
-        Method: row.Method,
-        Type: row.Type,
-        Confidence: row.Confidence,
-        PMID: row.PMID,
-        ProteinA_y: d.ProteinA,
-        ProteinB_y: d.ProteinB,
-        score: d.Score,
-        DomianA_name: d.DomainA_name,
-        DomainA_desc: d.DomainA_desc,
-        DomianA_interpro: d.DomainA_interpro,
-        DomianB_name: d.DomainB_name,
-        DomainB_desc: d.DomainB_desc,
-        DomianB_interpro: d.DomainB_interpro,
-        intdb: d.intdb
-      });
+// consensusKey extends interologKey with domain fields, and interolog rows are
+// unique within a DB, so repeated domain rows are the only duplicates to drop.
+function* consensusRowsFor(row, domainByPair) {
+  const matches = domainByPair.get(`${row.Host_Protein}||${row.Pathogen_Protein}`) || [];
+  const seen = new Set();
+  for (const d of matches) {
+    const merged = {
+      Host_Protein: row.Host_Protein,
+      Pathogen_Protein: row.Pathogen_Protein,
+      ProteinA_x: row.ProteinA,
+      ProteinB_x: row.ProteinB,
+      intdb_x: row.intdb_x,
+      Method: row.Method,
+      Type: row.Type,
+      Confidence: row.Confidence,
+      PMID: row.PMID,
+      HostIdentity: row.HostIdentity,
+      HostEvalue: row.HostEvalue,
+      HostCoverage: row.HostCoverage,
+      HostBitscore: row.HostBitscore,
+      PathogenIdentity: row.PathogenIdentity,
+      PathogenEvalue: row.PathogenEvalue,
+      PathogenCoverage: row.PathogenCoverage,
+      PathogenBitscore: row.PathogenBitscore,
+      ProteinA_y: d.ProteinA,
+      ProteinB_y: d.ProteinB,
+      score: d.Score,
+      DomianA_name: d.DomainA_name,
+      DomainA_desc: d.DomainA_desc,
+      DomianA_interpro: d.DomainA_interpro,
+      DomianB_name: d.DomainB_name,
+      DomainB_desc: d.DomainB_desc,
+      DomianB_interpro: d.DomainB_interpro,
+      intdb: d.intdb
+    };
+    const key = consensusKey(merged);
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield merged;
     }
   }
+}
+
+// geneInput is the gene csv of the `ids` side, or { genes, host, pathogen }
+// csvs when ids=both restricts each side with its own list.
+function toGeneInput(geneInput) {
+  return geneInput !== null && typeof geneInput === "object" ? geneInput : { genes: geneInput };
+}
+
+function resolveGeneFilters(idType, geneInput) {
+  const input = toGeneInput(geneInput);
+  if (idType === "both") {
+    return { host: toGeneList(input.host), pathogen: toGeneList(input.pathogen) };
+  }
+  const genes = toGeneList(input.genes);
+  return {
+    host: idType === "host" ? genes : [],
+    pathogen: idType === "pathogen" ? genes : []
+  };
+}
+
+function normalizeInterologParams(payload, geneInput) {
+  const category = String(payload.category || "").toLowerCase();
+  const ids = String(payload.ids || "").toLowerCase();
+  const geneFilters = resolveGeneFilters(ids, geneInput);
+  const genes = ids === "both"
+    ? { hostGenes: sortedUnique(geneFilters.host), pathogenGenes: sortedUnique(geneFilters.pathogen) }
+    : { genes: sortedUnique(toGeneList(toGeneInput(geneInput).genes)) };
+  return {
+    category,
+    hspecies: String(payload.hspecies || "").trim().toLowerCase(),
+    pspecies: String(payload.pspecies || "").trim(),
+    ids,
+    ...genes,
+    intdb: sortedUnique(parseDbList(payload.intdb).map((item) => item.toLowerCase())),
+    domdb: category === "consensus" ? sortedUnique(parseDbList(payload.domdb)) : [],
+    hi: Number(payload.hi || 0),
+    hc: Number(payload.hc || 0),
+    he: Number(payload.he || 0),
+    pi: Number(payload.pi || 0),
+    pc: Number(payload.pc || 0),
+    pe: Number(payload.pe || 0),
+    ...(isAggregated(payload) ? { aggregate: true } : {})
+  };
+}
 
-  return dedupeRows(merged);
+function isAggregated(payload) {
+  return String(payload.aggregate ?? "").toLowerCase() === "true" || payload.aggregate === true;
 }
 
-async function runInterologJob(payload, geneCsv) {
+async function runInterologJob(payload, geneInput, options = {}) {
+  const startedAt = Date.now();
+  const onProgress = options.onProgress || (() => {});
+  const { signal } = options;
   const method = String(payload.category || "").toLowerCase();
   if (method !== "interolog" && method !== "consensus") {
     throw new HttpError(400, `Unsupported category for JS port: ${payload.category}`);
@@ -302,75 +677,160 @@ async function runInterologJob(payload, geneCsv) {
 
   const hostTable = assertSafeIdentifier(String(payload.hspecies || "").toLowerCase(), "host table");
   const pathogenTable = assertSafeIdentifier(String(payload.pspecies || ""), "pathogen table");
-  const idType = String(payload.ids || "").toLowerCase();
-  const genes = toGeneList(geneCsv);
-  const hostGenes = idType === "host" ? genes : [];
-  const pathogenGenes = idType === "pathogen" ? genes : [];
-  const intdbList = parseDbList(payload.intdb).map((item) => item.toLowerCase());
+  const geneFilters = resolveGeneFilters(String(payload.ids || "").toLowerCase(), geneInput);
+  const hostGenes = geneFilters.host;
+  const pathogenGenes = geneFilters.pathogen;
+  const intdbList = Array.from(new Set(parseDbList(payload.intdb).map((item) => item.toLowerCase())));
   const domdbList = parseDbList(payload.domdb);
 
   if (intdbList.length === 0) {
     throw new HttpError(400, "At least one interolog DB is required");
   }
+  const aggregate = isAggregated(payload);
+  if (aggregate && method !== "interolog") {
+    throw new HttpError(400, "aggregate is only supported for category=interolog");
+  }
+
+  const meta = {
+    category: method,
+    host: payload.hspecies,
+    pathogen: payload.pspecies,
+    method: aggregate ? "aggregated" : null,
+    thresholds: {
+      hi: Number(payload.hi || 0),
+      hc: Number(payload.hc || 0),
+      he: Number(payload.he || 0),
+      pi: Number(payload.pi || 0),
+      pc: Number(payload.pc || 0),
+      pe: Number(payload.pe || 0)
+    },
+    intdb: intdbList,
+    domdb: method === "consensus" ? domdbList : [],
+    geneCount: { host: hostGenes.length, pathogen: pathogenGenes.length },
+    startedAt
+  };
 
   const mongoDb = useDb(env.INTEROLOG_MONGO_DB);
 
+  const aggregatedPairs = new Map();
+  const progress = { stage: "interolog", current: 0, total: intdbList.length, rows: 0 };
+  const reportProgress = (fields = {}) => {
+    Object.assign(progress, fields);
+    onProgress({ ...progress, written: writer.written });
+  };
+  const writer = createResultWriter(method, () => reportProgress());
+  if (options.onResultCreated) {
+    await options.onResultCreated(writer.resultId);
+  }
+
   try {
-    const allInterologRows = [];
-
-    for (const intdb of intdbList) {
-      const interologDb = assertSafeIdentifier(intdb, "interolog db");
-      const hostBlastRows = await fetchBlastRowsMongo(mongoDb, {
-        table: hostTable,
-        ident: payload.hi,
-        coverage: payload.hc,
-        evalue: payload.he,
-        intdb: interologDb,
-        genes: hostGenes
-      });
-      const pathogenBlastRows = await fetchBlastRowsMongo(mongoDb, {
-        table: pathogenTable,
-        ident: payload.pi,
-        coverage: payload.pc,
-        evalue: payload.pe,
-        intdb: interologDb,
-        genes: pathogenGenes
-      });
+    const interologDbs = intdbList.map((item) => assertSafeIdentifier(item, "interolog db"));
+    let domainByPair = null;
+    if (method === "consensus") {
+      const hostSpecies = String(payload.hspecies || "")
+        .replace(/^interolog_/i, "")
+        .trim()
+        .toLowerCase();
+      const pathogenSpecies = String(payload.pspecies || "")
+        .replace(/^interolog_/i, "")
+        .trim()
+        .toLowerCase();
+      const domainTable = assertSafeIdentifier(`${hostSpecies}_${pathogenSpecies}_domains`, "consensus domain table");
+      throwIfCancelled(signal);
+      domainByPair = indexDomainRows(await fetchDomainRowsMongo(mongoDb, domainTable, geneFilters, domdbList));
+    }
 
+    async function streamDbRows(interologDb, emit) {
+      throwIfCancelled(signal);
+      const [hostBlastRows, pathogenBlastRows] = await Promise.all([
+        fetchBlastRowsMongo(mongoDb, {
+          table: hostTable,
+          ident: payload.hi,
+          coverage: payload.hc,
+          evalue: payload.he,
+          intdb: interologDb,
+          genes: hostGenes
+        }),
+        fetchBlastRowsMongo(mongoDb, {
+          table: pathogenTable,
+          ident: payload.pi,
+          coverage: payload.pc,
+          evalue: payload.pe,
+          intdb: interologDb,
+          genes: pathogenGenes
+        })
+      ]);
       if (hostBlastRows.length === 0 || pathogenBlastRows.length === 0) {
-        continue;
+        return;
       }
 
       const ppiTable = `${interologDb}s`;
       const hostSseq = Array.from(new Set(hostBlastRows.map((row) => row.sseqid).filter(Boolean)));
       const pathogenSseq = Array.from(new Set(pathogenBlastRows.map((row) => row.sseqid).filter(Boolean)));
-      const ppiRows = await fetchPpiRowsMongo(mongoDb, ppiTable, hostSseq, pathogenSseq);
-
+      const ppiRows = await fetchPpiRows(mongoDb, ppiTable, hostSseq, pathogenSseq, signal);
       if (ppiRows.length === 0) {
-        continue;
+        return;
       }
 
-      appendRows(allInterologRows, buildInterologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows));
+      let batch = [];
+      for (const row of interologRowsForDb(interologDb, hostBlastRows, pathogenBlastRows, ppiRows)) {
+        for (const outRow of domainByPair ? consensusRowsFor(row, domainByPair) : [row]) {
+          batch.push(outRow);
+          if (batch.length >= env.RESULT_INSERT_BATCH_SIZE) {
+            throwIfCancelled(signal);
+            await emit(batch);
+            batch = [];
+          }
+        }
+      }
+      if (batch.length > 0) {
+        await emit(batch);
+      }
     }
 
-    const interologRows = dedupeRows(allInterologRows);
-    if (method === "interolog") {
-      return persistResults(interologRows);
+    // Rows never repeat across DBs (intdb_x differs), so no keys are kept
+    // between them. Batches reach the writer in intdb order; a DB that runs
+    // ahead holds at most INTEROLOG_PENDING_BATCHES batches.
+    const lanes = createOrderedLanes(interologDbs.length, env.INTEROLOG_PENDING_BATCHES, async (rows, dbIndex) => {
+      throwIfCancelled(signal);
+      if (aggregate) {
+        aggregateInterologRows(aggregatedPairs, interologDbs[dbIndex], rows);
+        progress.rows = aggregatedPairs.size;
+      } else {
+        progress.rows += rows.length;
+        await writer.write(rows);
+      }
+    });
+    let completed = 0;
+    reportProgress();
+    await forEachOrdered(
+      interologDbs,
+      env.INTEROLOG_DB_CONCURRENCY,
+      async (interologDb, dbIndex) => {
+        try {
+          await streamDbRows(interologDb, (rows) => lanes.write(dbIndex, rows));
+        } catch (error) {
+          lanes.abort(error);
+          throw error;
+        }
+        completed += 1;
+        reportProgress({ intdb: interologDb, current: completed });
+      },
+      (_, dbIndex) => lanes.finish(dbIndex)
+    );
+    throwIfCancelled(signal);
+
+    if (aggregate) {
+      const aggregatedRows = finalizeAggregatedRows(aggregatedPairs);
+      aggregatedPairs.clear();
+      reportProgress({ stage: "persisting", rows: aggregatedRows.length });
+      await writer.write(aggregatedRows);
+    } else {
+      reportProgress({ stage: "persisting" });
     }
-
-    const hostSpecies = String(payload.hspecies || "")
-      .replace(/^interolog_/i, "")
-      .trim()
-      .toLowerCase();
-    const pathogenSpecies = String(payload.pspecies || "")
-      .replace(/^interolog_/i, "")
-      .trim()
-      .toLowerCase();
-    const domainTable = assertSafeIdentifier(`${hostSpecies}_${pathogenSpecies}_domains`, "consensus domain table");
-    const domainRows = await fetchDomainRowsMongo(mongoDb, domainTable, idType, genes, domdbList);
-    const consensusRows = mergeConsensus(interologRows, domainRows);
-    return persistResults(consensusRows);
+    return await writer.finish(meta);
   } catch (error) {
+    await writer.discard();
     if (error instanceof HttpError) {
       throw error;
     }
@@ -379,5 +839,10 @@ async function runInterologJob(payload, geneCsv) {
 }
 
 module.exports = {
-  runInterologJob
+  normalizeInterologParams,
+  runInterologJob,
+  fetchBlastRowsMongo,
+  fetchPpiRowsMongo,
+  fetchPpiRowsStreamed,
+  buildInterologRowsForDb
 };
@@ -0,0 +1,393 @@
+const { randomUUID } = require("node:crypto");
+const { EventEmitter } = require("node:events");
+const env = require("../config/env");
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+const { JobCancelledError } = require("../errors/JobCancelledError");
+const { toGeneList } = require("../utils/genes");
+const { hashParams } = require("../utils/fingerprint");
+const { normalizeInterologParams, runInterologJob } = require("./interologService");
+const { normalizePhyloParams, runPhyloJob } = require("./phyloService");
+const { normalizeGoSimParams, runGoSimJob } = require("./goSimService");
+const { normalizeIntegrationParams, runIntegrationJob } = require("./integrationService");
+const { tagResult, findLiveResultByHash } = require("./resultRegistryService");
+
+function interologGeneInput(job) {
+  return { genes: job.geneCsv, host: job.hostGeneCsv, pathogen: job.pathogenGeneCsv };
+}
+
+const JOB_TYPES = {
+  ppi: {
+    params: (job) => normalizeInterologParams(job.payload, interologGeneInput(job)),
+    run: (job, options) => runInterologJob(job.payload, interologGeneInput(job), options)
+  },
+  goppi: {
+    params: (job) => normalizeGoSimParams(job.payload),
+    run: (job, options) => runGoSimJob(job.payload, options)
+  },
+  phyloppi: {
+    params: (job) => normalizePhyloParams(job.payload),
+    run: (job, options) => runPhyloJob(job.payload, options)
+  },
+  integrate: {
+    params: (job) => normalizeIntegrationParams(job.payload),
+    run: (job, options) => runIntegrationJob(job.payload, options)
+  }
+};
+
+const TERMINAL_STATUSES = new Set(["succeeded", "failed", "cancelled"]);
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const runningControllers = new Map();
+
+let activeJobs = 0;
+let draining = false;
+let drainRequested = false;
+
+function getJobCollection() {
+  return useDb("hpinet_results").collection("jobs");
+}
+
+function summarizeJobPayload(job) {
+  const body = job.payload || {};
+  return {
+    category: body.category,
+    hspecies: body.hspecies,
+    pspecies: body.pspecies,
+    method: body.method,
+    threshold: body.threshold,
+    hi: body.hi,
+    hc: body.hc,
+    he: body.he,
+    pi: body.pi,
+    pc: body.pc,
+    pe: body.pe,
+    hostGenesCount: toGeneList(job.hostGeneCsv ?? body.host_genes).length,
+    pathogenGenesCount: toGeneList(job.pathogenGeneCsv ?? body.pathogen_genes).length,
+    geneCount: toGeneList(job.geneCsv).length
+  };
+}
+
+function toJobView(job) {
+  return {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    resultId: job.resultId || null,
+    error: job.error || null,
+    progress: job.progress || null,
+    cancelRequested: Boolean(job.cancelRequestedAt),
+    deduplicated: Boolean(job.deduplicated),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+async function updateJob(jobId, fields) {
+  await getJobCollection().updateOne({ _id: jobId }, { $set: fields });
+}
+
+function publishJobEvent(jobId, type, data) {
+  jobEvents.emit(jobId, { type, data });
+}
+
+function subscribeJobEvents(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+// Every snapshot is published to SSE listeners; the stored job.progress is
+// written at most once per PROGRESS_WRITE_INTERVAL_MS, always with the newest
+// snapshot, and the writes are chained so they land in order.
+function createProgressReporter(jobId) {
+  let latest = null;
+  let lastWriteAt = 0;
+  let timer = null;
+  let writes = Promise.resolve();
+
+  function persistLatest() {
+    clearTimeout(timer);
+    timer = null;
+    if (!latest) {
+      return;
+    }
+    const snapshot = latest;
+    latest = null;
+    lastWriteAt = Date.now();
+    writes = writes
+      .then(() => updateJob(jobId, { progress: snapshot }))
+      .catch((error) => {
+        console.error(`[${new Date().toISOString()}] failed to record job ${jobId} progress`, error.message);
+      });
+  }
+
+  function reportProgress(progress) {
+    const snapshot = { ...progress, updatedAt: new Date() };
+    publishJobEvent(jobId, "progress", snapshot);
+    latest = snapshot;
+    if (timer) {
+      return;
+    }
+    const wait = lastWriteAt + PROGRESS_WRITE_INTERVAL_MS - Date.now();
+    if (wait <= 0) {
+      persistLatest();
+    } else {
+      timer = setTimeout(persistLatest, wait);
+    }
+  }
+
+  reportProgress.flush = () => {
+    persistLatest();
+    return writes;
+  };
+  return reportProgress;
+}
+
+function claimNextJob() {
+  return getJobCollection().findOneAndUpdate(
+    { status: "queued" },
+    { $set: { status: "running", startedAt: new Date() } },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+async function markJobCancelled(jobId) {
+  await updateJob(jobId, { status: "cancelled", finishedAt: new Date() });
+  publishJobEvent(jobId, "done", { status: "cancelled" });
+}
+
+async function runClaimedJob(job) {
+  const controller = new AbortController();
+  runningControllers.set(job._id, controller);
+  publishJobEvent(job._id, "status", { status: "running" });
+  const reportProgress = createProgressReporter(job._id);
+  try {
+    const jobType = JOB_TYPES[job.type];
+    if (!jobType) {
+      throw new HttpError(500, `Unsupported job type: ${job.type}`);
+    }
+    const resultId = await jobType.run(job, {
+      onProgress: reportProgress,
+      onResultCreated: (pendingResultId) => updateJob(job._id, { pendingResultId }),
+      signal: controller.signal
+    });
+    await reportProgress.flush();
+    if (job.paramHash) {
+      await tagResult(resultId, { paramHash: job.paramHash });
+    }
+    await updateJob(job._id, {
+      status: "succeeded",
+      resultId,
+      finishedAt: new Date()
+    });
+    publishJobEvent(job._id, "done", { status: "succeeded", resultId });
+  } catch (error) {
+    await reportProgress.flush();
+    if (error instanceof JobCancelledError) {
+      await markJobCancelled(job._id).catch((updateError) => {
+        console.error(`[${new Date().toISOString()}] failed to record job ${job._id} cancellation`, updateError);
+      });
+      return;
+    }
+    console.error(
+      `[${new Date().toISOString()}] job ${job._id} (${job.type}) failed`,
+      summarizeJobPayload(job),
+      {
+        message: error.message,
+        details: error.details,
+        stack: error.stack
+      }
+    );
+    const failure = {
+      status: error.status || 500,
+      message: error.message || "Job failed",
+      details: error.details
+    };
+    await updateJob(job._id, {
+      status: "failed",
+      error: failure,
+      finishedAt: new Date()
+    }).catch((updateError) => {
+      console.error(`[${new Date().toISOString()}] failed to record job ${job._id} failure`, updateError);
+    });
+    publishJobEvent(job._id, "done", { status: "failed", error: failure });
+  } finally {
+    runningControllers.delete(job._id);
+  }
+}
+
+async function drainQueue() {
+  drainRequested = true;
+  if (draining) {
+    return;
+  }
+  draining = true;
+  try {
+    while (drainRequested) {
+      drainRequested = false;
+      while (activeJobs < env.JOB_CONCURRENCY) {
+        const job = await claimNextJob();
+        if (!job) {
+          break;
+        }
+        activeJobs += 1;
+        runClaimedJob(job).finally(() => {
+          activeJobs -= 1;
+          scheduleDrain();
+        });
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function scheduleDrain() {
+  drainQueue().catch((error) => {
+    console.error(`[${new Date().toISOString()}] job queue drain failed`, error);
+  });
+}
+
+async function findDuplicateJob(job) {
+  const inFlight = await getJobCollection().findOne(
+    { paramHash: job.paramHash, status: { $in: ["queued", "running"] } },
+    { sort: { createdAt: -1 } }
+  );
+  if (inFlight) {
+    return { ...toJobView(inFlight), deduplicated: true };
+  }
+
+  const resultId = await findLiveResultByHash(job.paramHash);
+  if (!resultId) {
+    return null;
+  }
+  const now = new Date();
+  const reused = {
+    ...job,
+    status: "succeeded",
+    resultId,
+    deduplicated: true,
+    startedAt: now,
+    finishedAt: now
+  };
+  await getJobCollection().insertOne(reused);
+  return toJobView(reused);
+}
+
+async function enqueueJob(type, payload, extra = {}, options = {}) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    throw new HttpError(400, `Unsupported job type: ${type}`);
+  }
+  const job = {
+    _id: randomUUID(),
+    type,
+    status: "queued",
+    payload,
+    ...extra,
+    createdAt: new Date()
+  };
+  job.paramHash = hashParams({ type, params: jobType.params(job) });
+
+  if (!options.force) {
+    const duplicate = await findDuplicateJob(job);
+    if (duplicate) {
+      return duplicate;
+    }
+  }
+
+  await getJobCollection().insertOne(job);
+  scheduleDrain();
+  return toJobView(job);
+}
+
+async function getJob(jobId) {
+  const job = await getJobCollection().findOne({ _id: String(jobId || "") });
+  if (!job) {
+    throw new HttpError(404, `Job not found: ${jobId}`);
+  }
+  return toJobView(job);
+}
+
+async function cancelJob(jobId) {
+  const id = String(jobId || "");
+  const collection = getJobCollection();
+  const job = await collection.findOne({ _id: id });
+  if (!job) {
+    throw new HttpError(404, `Job not found: ${jobId}`);
+  }
+  if (job.status === "cancelled") {
+    return toJobView(job);
+  }
+  if (isTerminalStatus(job.status)) {
+    throw new HttpError(409, `Job already ${job.status}: ${jobId}`);
+  }
+
+  const dequeued = await collection.updateOne(
+    { _id: id, status: "queued" },
+    { $set: { status: "cancelled", finishedAt: new Date() } }
+  );
+  if (dequeued.modifiedCount > 0) {
+    publishJobEvent(id, "done", { status: "cancelled" });
+    return getJob(id);
+  }
+
+  const controller = runningControllers.get(id);
+  if (!controller) {
+    await markJobCancelled(id);
+    return getJob(id);
+  }
+  await updateJob(id, { cancelRequestedAt: new Date() });
+  controller.abort();
+  return getJob(id);
+}
+
+// Jobs cut off by a restart may have left a partly written result collection
+// behind, with no result_meta entry; drop it before failing the job.
+async function dropPendingResults() {
+  const resultsDb = useDb("hpinet_results");
+  const interrupted = await getJobCollection()
+    .find({ status: "running", pendingResultId: { $ne: null } }, { projection: { pendingResultId: 1 } })
+    .toArray();
+  const resultIds = interrupted.map((job) => job.pendingResultId);
+  for (const resultId of resultIds) {
+    try {
+      await resultsDb.dropCollection(resultId);
+    } catch (_) {
+      // nothing was written yet
+    }
+  }
+  if (resultIds.length > 0) {
+    await resultsDb.collection("result_meta").deleteMany({ _id: { $in: resultIds } });
+  }
+}
+
+async function startJobWorker() {
+  await dropPendingResults();
+  await getJobCollection().updateMany(
+    { status: "running" },
+    {
+      $set: {
+        status: "failed",
+        error: { status: 500, message: "Job interrupted by server restart" },
+        finishedAt: new Date()
+      }
+    }
+  );
+  await drainQueue();
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  cancelJob,
+  subscribeJobEvents,
+  isTerminalStatus,
+  startJobWorker
+};
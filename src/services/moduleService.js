@@ -0,0 +1,198 @@
+const { HttpError } = require("../errors/HttpError");
+const { louvainCommunities } = require("../utils/graph");
+const { enrichTerms } = require("../utils/enrichment");
+const { loadResultGraph } = require("./resultService");
+const { getResultSpecies } = require("./resultRegistryService");
+const { fetchGeneTerms } = require("./annotationService");
+
+function asPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : fallback;
+}
+
+function asPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function asFlag(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  return String(value).toLowerCase() !== "false";
+}
+
+const MODULE_CACHE_TTL_MS = asPositiveInt(process.env.MODULE_CACHE_TTL_MS, 60000);
+const MODULE_CACHE_MAX_ENTRIES = asPositiveInt(process.env.MODULE_CACHE_MAX_ENTRIES, 50);
+const moduleCache = new Map();
+
+function getCacheEntry(key) {
+  const entry = moduleCache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    moduleCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function setCacheEntry(key, value) {
+  if (moduleCache.has(key)) {
+    moduleCache.delete(key);
+  }
+  moduleCache.set(key, {
+    value,
+    expiresAt: Date.now() + MODULE_CACHE_TTL_MS
+  });
+
+  while (moduleCache.size > MODULE_CACHE_MAX_ENTRIES) {
+    const oldestKey = moduleCache.keys().next().value;
+    if (!oldestKey) {
+      break;
+    }
+    moduleCache.delete(oldestKey);
+  }
+}
+
+function collectModules(graph, membership) {
+  const modules = new Map();
+  graph.nodes.forEach((node, index) => {
+    const id = membership[index];
+    if (!modules.has(id)) {
+      modules.set(id, { hosts: [], pathogens: [], edges: 0, weight: 0 });
+    }
+    const module = modules.get(id);
+    (node.side === "host" ? module.hosts : module.pathogens).push(node.id);
+    if (node.side !== "host") {
+      return;
+    }
+    for (const [neighbor, weight] of graph.adjacency[index]) {
+      if (membership[neighbor] === id) {
+        module.edges += 1;
+        module.weight += weight;
+      }
+    }
+  });
+  return Array.from(modules.values());
+}
+
+async function loadBackgroundTerms(graph, species) {
+  const genes = { host: [], pathogen: [] };
+  for (const node of graph.nodes) {
+    genes[node.side].push(node.id);
+  }
+  const [hostGo, hostKegg, pathogenGo, pathogenKegg] = await Promise.all([
+    fetchGeneTerms({ type: "go", side: "host", species: species.host, genes: genes.host }),
+    fetchGeneTerms({ type: "kegg", side: "host", species: species.host, genes: genes.host }),
+    fetchGeneTerms({ type: "go", side: "pathogen", species: species.pathogen, genes: genes.pathogen }),
+    fetchGeneTerms({ type: "kegg", side: "pathogen", species: species.pathogen, genes: genes.pathogen })
+  ]);
+  return {
+    host: { go: hostGo, kegg: hostKegg },
+    pathogen: { go: pathogenGo, kegg: pathogenKegg }
+  };
+}
+
+function enrichModule(module, background, alpha) {
+  const enrich = (memberGenes, { terms, descriptions }) =>
+    enrichTerms({ memberGenes, backgroundTerms: terms, descriptions, alpha });
+  return {
+    host: {
+      go: enrich(module.hosts, background.host.go),
+      kegg: enrich(module.hosts, background.host.kegg)
+    },
+    pathogen: {
+      go: enrich(module.pathogens, background.pathogen.go),
+      kegg: enrich(module.pathogens, background.pathogen.kegg)
+    }
+  };
+}
+
+async function getModules({
+  resultId,
+  category,
+  minConfidence,
+  weighted,
+  resolution,
+  minSize,
+  top,
+  enrich,
+  alpha,
+  host,
+  pathogen
+}) {
+  const options = {
+    weighted: asFlag(weighted, false),
+    resolution: asPositiveNumber(resolution, 1),
+    minSize: asPositiveInt(minSize, 3),
+    top: Math.min(asPositiveInt(top, 50), 500),
+    enrich: asFlag(enrich, true),
+    alpha: Math.min(asPositiveNumber(alpha, 0.05), 1)
+  };
+  const cacheKey = JSON.stringify({
+    resultId,
+    category: String(category || ""),
+    minConfidence: String(minConfidence ?? ""),
+    host: String(host || ""),
+    pathogen: String(pathogen || ""),
+    ...options
+  });
+  const cached = getCacheEntry(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const { graph, category: resolvedCategory } = await loadResultGraph({ resultId, category, minConfidence });
+  const { membership, modularity } = louvainCommunities(graph, {
+    weighted: options.weighted,
+    resolution: options.resolution
+  });
+  const modules = collectModules(graph, membership)
+    .map((module) => ({ ...module, size: module.hosts.length + module.pathogens.length }))
+    .filter((module) => module.size >= options.minSize)
+    .sort((a, b) => b.size - a.size || b.edges - a.edges);
+  const selected = modules.slice(0, options.top);
+
+  let species = null;
+  let background = null;
+  if (options.enrich && selected.length > 0) {
+    species = await getResultSpecies(resultId, { host, pathogen });
+    if (!species.host || !species.pathogen) {
+      throw new HttpError(400, "Missing host/pathogen species for enrichment. Pass host and pathogen, or enrich=false");
+    }
+    background = await loadBackgroundTerms(graph, species);
+  }
+
+  const response = {
+    category: resolvedCategory,
+    nodecount: graph.nodes.length,
+    edgecount: graph.edgeCount,
+    modularity: Number(modularity.toFixed(6)),
+    weighted: options.weighted,
+    resolution: options.resolution,
+    species,
+    modulecount: modules.length,
+    modules: selected.map((module, index) => ({
+      module: index + 1,
+      size: module.size,
+      hostcount: module.hosts.length,
+      pathogencount: module.pathogens.length,
+      edges: module.edges,
+      density: module.hosts.length > 0 && module.pathogens.length > 0
+        ? Number((module.edges / (module.hosts.length * module.pathogens.length)).toFixed(6))
+        : 0,
+      weight: Number(module.weight.toFixed(4)),
+      hosts: module.hosts.sort(),
+      pathogens: module.pathogens.sort(),
+      enrichment: background ? enrichModule(module, background, options.alpha) : null
+    }))
+  };
+  setCacheEntry(cacheKey, response);
+  return response;
+}
+
+module.exports = {
+  getModules
+};
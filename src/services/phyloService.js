@@ -5,6 +5,13 @@ const env = require("../config/env");
 const { HttpError } = require("../errors/HttpError");
 const { useDb } = require("../db/mongoose");
 const { toGeneList } = require("../utils/genes");
+const { JobCancelledError } = require("../errors/JobCancelledError");
+const { throwIfCancelled } = require("../utils/cancellation");
+const { registerResult } = require("./resultRegistryService");
+const { sortedUnique } = require("../utils/fingerprint");
+const { scoreRowsConfidence } = require("../utils/confidence");
+
+const DIAMOND_KILL_GRACE_MS = 5000;
 
 function asNumber(value, fallback = 0) {
   const parsed = Number(value);
@@ -211,8 +218,13 @@ async function writeFasta(filePath, records) {
   await fs.writeFile(filePath, chunks.join(""), "utf-8");
 }
 
-function runDiamondBlast({ dbPath, queryFasta, evalue, outputFile }) {
+function runDiamondBlast({ dbPath, queryFasta, evalue, outputFile, signal }) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new JobCancelledError());
+      return;
+    }
+
     const args = [
       "blastp",
       "--db",
@@ -239,6 +251,16 @@ function runDiamondBlast({ dbPath, queryFasta, evalue, outputFile }) {
 
     const child = spawn(env.DIAMOND_BIN, args, { stdio: ["ignore", "ignore", "pipe"] });
     let stderr = "";
+    let killTimer = null;
+
+    function onAbort() {
+      child.kill("SIGTERM");
+      killTimer = setTimeout(() => child.kill("SIGKILL"), DIAMOND_KILL_GRACE_MS);
+    }
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
 
     child.stderr.on("data", (chunk) => {
       stderr += chunk.toString();
@@ -249,6 +271,14 @@ function runDiamondBlast({ dbPath, queryFasta, evalue, outputFile }) {
     });
 
     child.on("close", (code) => {
+      clearTimeout(killTimer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+        if (signal.aborted) {
+          reject(new JobCancelledError());
+          return;
+        }
+      }
       if (code !== 0) {
         const msg = String(stderr || "").trim();
         if (msg.includes("older version of Diamond and is incompatible")) {
@@ -340,16 +370,17 @@ function levenshteinDistance(a, b) {
   return prev[m];
 }
 
-async function persistPhyloResults(records) {
+async function persistPhyloResults(records, meta) {
   const resultsDb = useDb("hpinet_results");
   const name = `hpinet${Date.now()}results`;
   const collection = resultsDb.collection(name);
 
   if (records.length > 0) {
-    await collection.insertMany(records, { ordered: false });
+    await collection.insertMany(scoreRowsConfidence(records, meta.category), { ordered: false });
   } else {
     await collection.insertOne({ result: "no results" });
   }
+  await registerResult({ ...meta, resultId: name, rowCount: records.length });
   return name;
 }
 
@@ -384,7 +415,27 @@ function buildPairwiseScores({
   return rows;
 }
 
-async function runPhyloJob(payload) {
+function normalizePhyloParams(payload) {
+  return {
+    hspecies: String(payload.hspecies || "").trim(),
+    pspecies: String(payload.pspecies || "").trim(),
+    genomePool: normalizePoolName(payload.method || payload.genomePool),
+    threshold: asNumber(payload.threshold, 0),
+    hi: asNumber(payload.hi, 0),
+    hc: asNumber(payload.hc, 0),
+    he: asNumber(payload.he, 0),
+    pi: asNumber(payload.pi, 0),
+    pc: asNumber(payload.pc, 0),
+    pe: asNumber(payload.pe, 0),
+    hostGenes: sortedUnique(toGeneList(payload.host_genes)),
+    pathogenGenes: sortedUnique(toGeneList(payload.pathogen_genes))
+  };
+}
+
+async function runPhyloJob(payload, options = {}) {
+  const startedAt = Date.now();
+  const onProgress = options.onProgress || (() => {});
+  const { signal } = options;
   const host = String(payload.hspecies || "").trim();
   const pathogen = String(payload.pspecies || "").trim();
   if (!host || !pathogen) {
@@ -402,8 +453,17 @@ async function runPhyloJob(payload) {
 
   const hostGenes = toGeneList(payload.host_genes);
   const pathogenGenes = toGeneList(payload.pathogen_genes);
+  const meta = {
+    category: "phylo",
+    host,
+    pathogen,
+    method: normalizePoolName(genomePool),
+    thresholds: { threshold, hi, hc, he, pi, pc, pe },
+    geneCount: { host: hostGenes.length, pathogen: pathogenGenes.length },
+    startedAt
+  };
   if (hostGenes.length === 0 || pathogenGenes.length === 0) {
-    return persistPhyloResults([]);
+    return persistPhyloResults([], meta);
   }
 
   const poolConfig = resolvePoolConfig(genomePool);
@@ -420,7 +480,7 @@ async function runPhyloJob(payload) {
   const hostRecords = await loadSelectedFastaRecords(hostFasta, hostGenes);
   const pathogenRecords = await loadSelectedFastaRecords(pathogenFasta, pathogenGenes);
   if (hostRecords.length === 0 || pathogenRecords.length === 0) {
-    return persistPhyloResults([]);
+    return persistPhyloResults([], meta);
   }
 
   const hostGeneIds = hostRecords.map((item) => item.id);
@@ -450,6 +510,13 @@ async function runPhyloJob(payload) {
       const dbName = poolList[i];
       const dbPath = path.join(poolConfig.poolFolder, dbName);
       const dmndPath = `${dbPath}.dmnd`;
+      throwIfCancelled(signal);
+      onProgress({
+        stage: "phylo",
+        genome: dbName,
+        current: i,
+        total: genomeNumber - 1
+      });
       if (!(await pathExists(dmndPath))) {
         throw new HttpError(500, "Missing DIAMOND database", `Expected file not found: ${dmndPath}`);
       }
@@ -479,7 +546,8 @@ async function runPhyloJob(payload) {
           dbPath,
           queryFasta: hostTempFasta,
           evalue: he,
-          outputFile: hostBlastFile
+          outputFile: hostBlastFile,
+          signal
         });
       }
       if (!pathogenBlastFile) {
@@ -488,7 +556,8 @@ async function runPhyloJob(payload) {
           dbPath,
           queryFasta: pathogenTempFasta,
           evalue: pe,
-          outputFile: pathogenBlastFile
+          outputFile: pathogenBlastFile,
+          signal
         });
       }
 
@@ -509,7 +578,8 @@ async function runPhyloJob(payload) {
       nullPattern
     });
 
-    return persistPhyloResults(rows);
+    onProgress({ stage: "persisting", rows: rows.length });
+    return persistPhyloResults(rows, meta);
   } catch (error) {
     if (error instanceof HttpError) {
       throw error;
@@ -523,5 +593,6 @@ async function runPhyloJob(payload) {
 }
 
 module.exports = {
+  normalizePhyloParams,
   runPhyloJob
 };
@@ -0,0 +1,173 @@
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+const { parsePaging } = require("../utils/pagination");
+const { resultCollectionExists, timestampFromResultId } = require("./resultRegistryService");
+
+const COMPARE_SETS = ["all", "onlyA", "onlyB", "both"];
+
+function confidenceValue(field) {
+  return { $convert: { input: field, to: "double", onError: null, onNull: null } };
+}
+
+function sideStage(side) {
+  return [
+    { $match: { Host_Protein: { $exists: true } } },
+    {
+      $project: {
+        _id: 0,
+        Host_Protein: 1,
+        Pathogen_Protein: 1,
+        side: { $literal: side },
+        confidence: confidenceValue("$Confidence")
+      }
+    }
+  ];
+}
+
+function sideMax(side) {
+  return { $max: { $cond: [{ $eq: ["$side", side] }, "$confidence", null] } };
+}
+
+function sideCount(side) {
+  return { $sum: { $cond: [{ $eq: ["$side", side] }, 1, 0] } };
+}
+
+async function assertResultCollection(resultId, param) {
+  const id = String(resultId || "").trim();
+  if (!id) {
+    throw new HttpError(400, `Missing required query param: ${param}`);
+  }
+  if (!timestampFromResultId(id)) {
+    throw new HttpError(400, `Invalid result id: ${id}`);
+  }
+  if (!(await resultCollectionExists(id))) {
+    throw new HttpError(404, `Result not found: ${id}`);
+  }
+  return id;
+}
+
+async function compareResults({ a, b, set, page, size }) {
+  const resultA = await assertResultCollection(a, "a");
+  const resultB = await assertResultCollection(b, "b");
+  const selectedSet = set ? String(set) : "all";
+  if (!COMPARE_SETS.includes(selectedSet)) {
+    throw new HttpError(400, `Invalid set: ${set}. Supported: ${COMPARE_SETS.join(", ")}`);
+  }
+  const { pageIndex, pageSize, skip } = parsePaging(page, size, { defaultSize: 100, maxSize: 1000 });
+
+  const pipeline = [
+    ...sideStage("a"),
+    { $unionWith: { coll: resultB, pipeline: sideStage("b") } },
+    {
+      $group: {
+        _id: { host: "$Host_Protein", pathogen: "$Pathogen_Protein" },
+        confidenceA: sideMax("a"),
+        confidenceB: sideMax("b"),
+        rowsA: sideCount("a"),
+        rowsB: sideCount("b")
+      }
+    },
+    {
+      $addFields: {
+        set: {
+          $switch: {
+            branches: [
+              { case: { $and: [{ $gt: ["$rowsA", 0] }, { $gt: ["$rowsB", 0] }] }, then: "both" },
+              { case: { $gt: ["$rowsA", 0] }, then: "onlyA" }
+            ],
+            default: "onlyB"
+          }
+        },
+        delta: {
+          $cond: [
+            { $and: [{ $ne: ["$confidenceA", null] }, { $ne: ["$confidenceB", null] }] },
+            { $subtract: ["$confidenceB", "$confidenceA"] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        counts: [
+          {
+            $group: {
+              _id: "$set",
+              n: { $sum: 1 },
+              deltaSum: { $sum: { $ifNull: ["$delta", 0] } },
+              deltaCount: { $sum: { $cond: [{ $eq: ["$delta", null] }, 0, 1] } },
+              increased: { $sum: { $cond: [{ $gt: ["$delta", 0] }, 1, 0] } },
+              decreased: { $sum: { $cond: [{ $and: [{ $ne: ["$delta", null] }, { $lt: ["$delta", 0] }] }, 1, 0] } }
+            }
+          }
+        ],
+        results: [
+          ...(selectedSet === "all" ? [] : [{ $match: { set: selectedSet } }]),
+          { $addFields: { absDelta: { $abs: { $ifNull: ["$delta", 0] } } } },
+          {
+            $sort: {
+              set: 1,
+              absDelta: -1,
+              confidenceA: -1,
+              confidenceB: -1,
+              "_id.host": 1,
+              "_id.pathogen": 1
+            }
+          },
+          { $skip: skip },
+          { $limit: pageSize }
+        ]
+      }
+    }
+  ];
+
+  const [output] = await useDb("hpinet_results")
+    .collection(resultA)
+    .aggregate(pipeline, { allowDiskUse: true })
+    .toArray();
+
+  const counts = { onlyA: 0, onlyB: 0, both: 0 };
+  let shared = { meanDelta: null, increased: 0, decreased: 0, unchanged: 0 };
+  for (const row of output?.counts || []) {
+    counts[row._id] = row.n;
+    if (row._id === "both") {
+      shared = {
+        meanDelta: row.deltaCount > 0 ? Number((row.deltaSum / row.deltaCount).toFixed(4)) : null,
+        increased: row.increased,
+        decreased: row.decreased,
+        unchanged: row.deltaCount - row.increased - row.decreased
+      };
+    }
+  }
+  const union = counts.onlyA + counts.onlyB + counts.both;
+
+  return {
+    a: resultA,
+    b: resultB,
+    summary: {
+      ...counts,
+      totalA: counts.onlyA + counts.both,
+      totalB: counts.onlyB + counts.both,
+      jaccard: union > 0 ? Number((counts.both / union).toFixed(4)) : 0,
+      shared
+    },
+    set: selectedSet,
+    page: pageIndex + 1,
+    size: pageSize,
+    total: selectedSet === "all" ? union : counts[selectedSet],
+    results: (output?.results || []).map((row) => ({
+      Host_Protein: row._id.host,
+      Pathogen_Protein: row._id.pathogen,
+      set: row.set,
+      confidenceA: row.confidenceA,
+      confidenceB: row.confidenceB,
+      delta: row.delta === null ? null : Number(row.delta.toFixed(4)),
+      rowsA: row.rowsA,
+      rowsB: row.rowsB
+    }))
+  };
+}
+
+module.exports = {
+  compareResults
+};
@@ -0,0 +1,177 @@
+const { useDb } = require("../db/mongoose");
+const { HttpError } = require("../errors/HttpError");
+
+function getRegistryCollection() {
+  return useDb("hpinet_results").collection("result_meta");
+}
+
+function toMetaView(doc) {
+  const { _id, ...meta } = doc;
+  return { resultId: _id, ...meta };
+}
+
+async function registerResult({
+  resultId,
+  category,
+  host,
+  pathogen,
+  method,
+  thresholds,
+  intdb,
+  domdb,
+  geneCount,
+  rowCount,
+  startedAt,
+  inputs
+}) {
+  const now = Date.now();
+  const fields = {
+    category,
+    host: String(host || "").trim(),
+    pathogen: String(pathogen || "").trim(),
+    method: method || null,
+    thresholds: thresholds || {},
+    intdb: intdb || [],
+    domdb: domdb || [],
+    geneCount: geneCount || { host: 0, pathogen: 0 },
+    ...(inputs ? { inputs } : {}),
+    rowCount,
+    runtimeMs: startedAt ? now - startedAt : null,
+    createdAt: new Date(now)
+  };
+  // pinned/expiresAt may already have been set through the pin route while the job ran.
+  await getRegistryCollection().updateOne(
+    { _id: resultId },
+    {
+      $set: fields,
+      $setOnInsert: { pinned: false, expiresAt: null }
+    },
+    { upsert: true }
+  );
+  return getResultMeta(resultId);
+}
+
+async function tagResult(resultId, fields) {
+  await getRegistryCollection().updateOne({ _id: resultId }, { $set: fields });
+}
+
+async function resultCollectionExists(resultId) {
+  const db = useDb("hpinet_results");
+  const matches = await db.db.listCollections({ name: resultId }, { nameOnly: true }).toArray();
+  return matches.length > 0;
+}
+
+function timestampFromResultId(resultId) {
+  const match = /^hpinet(\d{10,16})results$/.exec(String(resultId || ""));
+  if (!match) {
+    return null;
+  }
+  const raw = Number(match[1]);
+  return raw < 1e12 ? raw * 1000 : raw;
+}
+
+function parseExpiresAt(value) {
+  if (value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Invalid expiresAt: ${value}`);
+  }
+  return date;
+}
+
+async function findLiveResultByHash(paramHash) {
+  const candidates = await getRegistryCollection()
+    .find(
+      {
+        paramHash,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      },
+      { projection: { _id: 1 } }
+    )
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .toArray();
+  for (const candidate of candidates) {
+    if (await resultCollectionExists(candidate._id)) {
+      return candidate._id;
+    }
+  }
+  return null;
+}
+
+async function pinResult(resultId, { pinned, expiresAt } = {}) {
+  const id = String(resultId || "");
+  if (!timestampFromResultId(id)) {
+    throw new HttpError(400, `Invalid result id: ${resultId}`);
+  }
+  if (!(await resultCollectionExists(id))) {
+    throw new HttpError(404, `Result not found: ${resultId}`);
+  }
+
+  // A bare request pins; a request carrying only expiresAt leaves pinned alone.
+  const fields = {};
+  const onInsert = { createdAt: new Date(timestampFromResultId(id)) };
+  if (pinned !== undefined) {
+    fields.pinned = String(pinned).toLowerCase() !== "false";
+  } else if (expiresAt === undefined) {
+    fields.pinned = true;
+  } else {
+    onInsert.pinned = false;
+  }
+  if (expiresAt !== undefined) {
+    fields.expiresAt = parseExpiresAt(expiresAt);
+  }
+  await getRegistryCollection().updateOne(
+    { _id: id },
+    {
+      $set: fields,
+      $setOnInsert: onInsert
+    },
+    { upsert: true }
+  );
+  return getResultMeta(id);
+}
+
+async function getResultMeta(resultId) {
+  if (!resultId) {
+    throw new HttpError(400, "Missing required param: results");
+  }
+  const doc = await getRegistryCollection().findOne({ _id: String(resultId) });
+  if (!doc) {
+    throw new HttpError(404, `No metadata recorded for result: ${resultId}`);
+  }
+  return toMetaView(doc);
+}
+
+async function getResultSpecies(resultId, { host, pathogen } = {}) {
+  if (host && pathogen) {
+    return { host, pathogen };
+  }
+  const doc = await getRegistryCollection().findOne(
+    { _id: String(resultId || "") },
+    { projection: { host: 1, pathogen: 1 } }
+  );
+  return { host: host || doc?.host || "", pathogen: pathogen || doc?.pathogen || "" };
+}
+
+async function getResultCategory(resultId) {
+  const doc = await getRegistryCollection().findOne(
+    { _id: String(resultId || "") },
+    { projection: { category: 1 } }
+  );
+  return doc?.category || null;
+}
+
+module.exports = {
+  registerResult,
+  tagResult,
+  findLiveResultByHash,
+  resultCollectionExists,
+  timestampFromResultId,
+  pinResult,
+  getResultMeta,
+  getResultSpecies,
+  getResultCategory
+};
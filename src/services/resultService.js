@@ -1,15 +1,38 @@
+const { Readable } = require("node:stream");
 const { useDb, getOrCreateModel } = require("../db/mongoose");
 const { HttpError } = require("../errors/HttpError");
 const { parsePaging } = require("../utils/pagination");
 const { toGeneList, toGeneCsv } = require("../utils/genes");
-const { findGenesFromKeyword } = require("./annotationService");
-const { scoreRowsConfidence } = require("../utils/confidence");
+const { findGenesFromKeyword, countGeneAnnotations } = require("./annotationService");
+const { getResultSpecies, getResultCategory } = require("./resultRegistryService");
+const { resolveConfidenceProfile } = require("./confidenceProfileService");
+const {
+  scoreRowConfidence,
+  scoreRowsConfidence,
+  explainRowConfidence,
+  getConfidenceMeta
+} = require("../utils/confidence");
+const { buildResultFilter, buildResultSort } = require("../utils/resultFilters");
+const {
+  createBipartiteGraph,
+  addEdge,
+  computeDegrees,
+  connectedComponents,
+  computeCentrality
+} = require("../utils/graph");
+const {
+  getExportFormat,
+  exportColumns,
+  skipsRow,
+  serializeRows
+} = require("../utils/exportFormats");
 const {
   wheatSchema,
   goppiSchema,
   phyloSchema,
   domainSchema,
-  consensusSchema
+  consensusSchema,
+  integratedSchema
 } = require("../models/resultSchemas");
 
 function asPositiveInt(value, fallback) {
@@ -26,6 +49,15 @@ const DOMAIN_CACHE_TTL_MS = asPositiveInt(process.env.DOMAIN_CACHE_TTL_MS, 30000
 const DOMAIN_CACHE_MAX_ENTRIES = asPositiveInt(process.env.DOMAIN_CACHE_MAX_ENTRIES, 1000);
 const RESULT_CACHE_TTL_MS = asPositiveInt(process.env.RESULT_CACHE_TTL_MS, 15000);
 const RESULT_CACHE_MAX_ENTRIES = asPositiveInt(process.env.RESULT_CACHE_MAX_ENTRIES, 300);
+const PROFILE_RANK_MAX_OFFSET = 10000;
+// Centrality and Louvain run synchronously in the request; this cap keeps
+// one computation to about a second so other requests and SSE streams stall
+// only briefly.
+const TOPOLOGY_MAX_EDGES = asPositiveInt(process.env.TOPOLOGY_MAX_EDGES, 20000);
+const TOPOLOGY_EXACT_MAX_NODES = asPositiveInt(process.env.TOPOLOGY_EXACT_MAX_NODES, 2000);
+const TOPOLOGY_SAMPLE_SIZE = asPositiveInt(process.env.TOPOLOGY_SAMPLE_SIZE, 500);
+const NEIGHBORHOOD_MAX_EDGES = asPositiveInt(process.env.NEIGHBORHOOD_MAX_EDGES, 20000);
+const EXPLAIN_MAX_ROWS = asPositiveInt(process.env.EXPLAIN_MAX_ROWS, 1000);
 const domainCache = new Map();
 const resultCache = new Map();
 
@@ -94,6 +126,7 @@ function getCategorySchema(category) {
   if (category === "consensus") return consensusSchema;
   if (category === "gosim" || category === "go") return goppiSchema;
   if (category === "phylo") return phyloSchema;
+  if (category === "integrated") return integratedSchema;
   throw new HttpError(400, `Invalid category: ${category}`);
 }
 
@@ -132,6 +165,9 @@ function getResultSearchFields(category) {
   if (category === "phylo") {
     return ["Host_Protein", "Pathogen_Protein", "Host_Pattern", "Pathogen_Pattern"];
   }
+  if (category === "integrated") {
+    return ["Host_Protein", "Pathogen_Protein", "SupportingMethods", "intdb_x", "PMID"];
+  }
   return ["Host_Protein", "Pathogen_Protein", "ProteinA", "ProteinB", "intdb_x", "intdb", "Method", "Type", "PMID"];
 }
 
@@ -145,7 +181,22 @@ function getProjectionFields(category) {
       Pathogen_GO: 1,
       Score: 1,
       score: 1,
-      Confidence: 1
+      Confidence: 1,
+      RawConfidence: 1
+    };
+  }
+  if (c === "integrated") {
+    return {
+      Host_Protein: 1,
+      Pathogen_Protein: 1,
+      SupportingMethods: 1,
+      MethodCount: 1,
+      MethodScores: 1,
+      SupportingResults: 1,
+      intdb_x: 1,
+      PMID: 1,
+      Confidence: 1,
+      RawConfidence: 1
     };
   }
   if (c === "phylo") {
@@ -155,6 +206,7 @@ function getProjectionFields(category) {
       Score: 1,
       score: 1,
       Confidence: 1,
+      RawConfidence: 1,
       Host_Pattern: 1,
       Pathogen_Pattern: 1
     };
@@ -168,6 +220,7 @@ function getProjectionFields(category) {
       Score: 1,
       score: 1,
       Confidence: 1,
+      RawConfidence: 1,
       intdb: 1,
       DomainA_name: 1,
       DomianA_name: 1,
@@ -185,9 +238,14 @@ function getProjectionFields(category) {
       Pathogen_Protein: 1,
       ProteinA: 1,
       ProteinB: 1,
+      ProteinA_x: 1,
+      ProteinB_x: 1,
+      ProteinA_y: 1,
+      ProteinB_y: 1,
       Method: 1,
       Type: 1,
       Confidence: 1,
+      RawConfidence: 1,
       Score: 1,
       score: 1,
       PMID: 1,
@@ -200,7 +258,15 @@ function getProjectionFields(category) {
       DomainB_name: 1,
       DomianB_name: 1,
       DomainB_interpro: 1,
-      DomianB_interpro: 1
+      DomianB_interpro: 1,
+      HostIdentity: 1,
+      HostEvalue: 1,
+      HostCoverage: 1,
+      HostBitscore: 1,
+      PathogenIdentity: 1,
+      PathogenEvalue: 1,
+      PathogenCoverage: 1,
+      PathogenBitscore: 1
     };
   }
   return {
@@ -211,14 +277,37 @@ function getProjectionFields(category) {
     Method: 1,
     Type: 1,
     Confidence: 1,
+    RawConfidence: 1,
     Score: 1,
     score: 1,
     PMID: 1,
     intdb_x: 1,
-    intdb: 1
+    intdb: 1,
+    EvidenceCount: 1,
+    Databases: 1,
+    Methods: 1,
+    Templates: 1,
+    HostIdentity: 1,
+    HostEvalue: 1,
+    HostCoverage: 1,
+    HostBitscore: 1,
+    PathogenIdentity: 1,
+    PathogenEvalue: 1,
+    PathogenCoverage: 1,
+    PathogenBitscore: 1
   };
 }
 
+const AGGREGATE_COLUMNS = ["EvidenceCount", "Databases", "Methods", "Templates"];
+
+function resultExportColumns(projection, sampleRow) {
+  const columns = exportColumns(projection);
+  if (sampleRow && "EvidenceCount" in sampleRow) {
+    return columns;
+  }
+  return columns.filter((column) => !AGGREGATE_COLUMNS.includes(column));
+}
+
 function getResultModel(resultId, category) {
   if (!resultId) {
     throw new HttpError(400, "Missing required query param: results");
@@ -233,6 +322,7 @@ function inferCategoryFromRows(rows, fallback = "interolog") {
     return fallback;
   }
   const row = rows[0] || {};
+  if ("SupportingMethods" in row) return "integrated";
   if ("Host_GO" in row || "Pathogen_GO" in row) return "go";
   if ("Host_Pattern" in row || "Pathogen_Pattern" in row) return "phylo";
   if ("DomianA_interpro" in row || "DomainA_interpro" in row || "intdb" in row) {
@@ -243,24 +333,58 @@ function inferCategoryFromRows(rows, fallback = "interolog") {
   return fallback;
 }
 
-async function getResults({ resultId, category, page, size, q }) {
-  const cacheKey = JSON.stringify({ type: "results", resultId, category, page, size, q: String(q || "") });
+function profileCacheKey(confidenceProfile) {
+  return confidenceProfile ? `${confidenceProfile.name}@${new Date(confidenceProfile.updatedAt).getTime()}` : "default";
+}
+
+// Sorting and range filters run in Mongo on the stored default-weight
+// Confidence, which would disagree with rows rescored by a profile.
+function assertDefaultConfidenceQuery(filters, sortSpec) {
+  const hasRange = [filters.minConfidence, filters.maxConfidence].some(
+    (value) => value !== undefined && value !== null && String(value).trim() !== ""
+  );
+  if (hasRange || (sortSpec && "Confidence" in sortSpec)) {
+    throw new HttpError(400, "profile cannot be combined with a Confidence sort or minConfidence/maxConfidence");
+  }
+}
+
+async function getResults({ resultId, category, page, size, q, sort, filters = {}, profile }) {
+  const confidenceProfile = await resolveConfidenceProfile(profile);
+  const cacheKey = JSON.stringify({
+    type: "results",
+    resultId,
+    category,
+    page,
+    size,
+    q: String(q || ""),
+    sort: String(sort || ""),
+    filters,
+    profile: profileCacheKey(confidenceProfile)
+  });
   const cached = getResultCacheEntry(cacheKey);
   if (cached) {
     return cached;
   }
 
   const model = getResultModel(resultId, category);
-  const query = withQuickSearch({}, q, getResultSearchFields(category));
   const projection = getProjectionFields(category);
+  const query = withQuickSearch(buildResultFilter(filters, projection), q, getResultSearchFields(category));
+  const sortSpec = buildResultSort(sort, projection);
+  if (confidenceProfile) {
+    assertDefaultConfidenceQuery(filters, sortSpec);
+  }
   const { pageSize, skip } = parsePaging(page, size, { defaultSize: 1000, maxSize: 10000 });
+  let finder = model.find(query, projection);
+  if (sortSpec) {
+    finder = finder.sort(sortSpec);
+  }
   const [rawResults, total, host, pathogen] = await Promise.all([
-    model.find(query, projection).limit(pageSize).skip(skip).lean().exec(),
+    finder.limit(pageSize).skip(skip).lean().exec(),
     model.countDocuments(query),
     model.distinct("Host_Protein", query),
     model.distinct("Pathogen_Protein", query)
   ]);
-  const results = scoreRowsConfidence(rawResults, category);
+  const results = scoreRowsConfidence(rawResults, category, confidenceProfile);
   const response = {
     results,
     total,
@@ -271,10 +395,39 @@ async function getResults({ resultId, category, page, size, q }) {
   return response;
 }
 
-async function getNetwork({ resultId, category, limit, offset, sort }) {
+function compareScoredRows(a, b) {
+  return (
+    (b.Confidence ?? -1) - (a.Confidence ?? -1) ||
+    (Number(b.Score ?? b.score) || 0) - (Number(a.Score ?? a.score) || 0) ||
+    String(b._id).localeCompare(String(a._id))
+  );
+}
+
+// Stored Confidence uses the default weights, so ranking by a profile means
+// rescoring every row; only the best offset + limit rows are kept, and
+// offset is capped at PROFILE_RANK_MAX_OFFSET to bound that.
+async function topRescoredRows(model, projection, category, profile, offset, limit) {
+  const keep = offset + limit;
+  let resolvedCategory = category;
+  let best = [];
+  const cursor = model.find({}, projection).lean().cursor({ batchSize: 1000 });
+  for await (const row of cursor) {
+    if (!resolvedCategory) {
+      resolvedCategory = inferCategoryFromRows([row], "interolog");
+    }
+    best.push(scoreRowConfidence(row, resolvedCategory, profile));
+    if (best.length >= keep * 2 + 1000) {
+      best = best.sort(compareScoredRows).slice(0, keep);
+    }
+  }
+  return best.sort(compareScoredRows).slice(offset, keep);
+}
+
+async function getNetwork({ resultId, category, limit, offset, sort, profile }) {
   if (!resultId) {
     throw new HttpError(400, "Missing required query param: results");
   }
+  const confidenceProfile = await resolveConfidenceProfile(profile);
 
   const safeLimit = Math.min(asPositiveInt(limit, 5000), 10000);
   const safeOffset = asNonNegativeInt(offset, 0);
@@ -289,7 +442,8 @@ async function getNetwork({ resultId, category, limit, offset, sort }) {
     category: String(category || ""),
     limit: safeLimit,
     offset: safeOffset,
-    sort: safeSort
+    sort: safeSort,
+    profile: profileCacheKey(confidenceProfile)
   });
   const cached = getResultCacheEntry(cacheKey);
   if (cached) {
@@ -298,18 +452,25 @@ async function getNetwork({ resultId, category, limit, offset, sort }) {
 
   const db = useDb("hpinet_results");
   const model = getOrCreateModel(db, resultId, wheatSchema);
-  const [rawResults, total] = await Promise.all([
-    model
-      .find({}, getProjectionFields(category || "interolog"))
-      .sort(sortSpec)
-      .skip(safeOffset)
-      .limit(safeLimit)
-      .lean()
-      .exec(),
-    model.countDocuments({})
-  ]);
-  const resolvedCategory = inferCategoryFromRows(rawResults, category || "interolog");
-  const results = scoreRowsConfidence(rawResults, resolvedCategory);
+  const projection = getProjectionFields(category || "interolog");
+  let results;
+  let total;
+  if (confidenceProfile && safeSort !== "recent") {
+    if (safeOffset > PROFILE_RANK_MAX_OFFSET) {
+      throw new HttpError(400, `offset above ${PROFILE_RANK_MAX_OFFSET} is not supported when ranking by profile`);
+    }
+    [results, total] = await Promise.all([
+      topRescoredRows(model, projection, category, confidenceProfile, safeOffset, safeLimit),
+      model.countDocuments({})
+    ]);
+  } else {
+    let rawResults;
+    [rawResults, total] = await Promise.all([
+      model.find({}, projection).sort(sortSpec).skip(safeOffset).limit(safeLimit).lean().exec(),
+      model.countDocuments({})
+    ]);
+    results = scoreRowsConfidence(rawResults, inferCategoryFromRows(rawResults, category || "interolog"), confidenceProfile);
+  }
   const hostSet = new Set(results.map((row) => row.Host_Protein).filter(Boolean));
   const pathogenSet = new Set(results.map((row) => row.Pathogen_Protein).filter(Boolean));
   const returned = results.length;
@@ -329,16 +490,319 @@ async function getNetwork({ resultId, category, limit, offset, sort }) {
   return response;
 }
 
-async function downloadResults({ resultId, category }) {
+function roundMetric(value) {
+  return Number(value.toFixed(6));
+}
+
+async function loadResultGraph({ resultId, category, minConfidence }) {
+  if (!resultId) {
+    throw new HttpError(400, "Missing required query param: results");
+  }
+  const db = useDb("hpinet_results");
+  const model = getOrCreateModel(db, resultId, wheatSchema);
+  const firstRow = await model.findOne({ Host_Protein: { $exists: true } }).lean().exec();
+  const resolvedCategory = inferCategoryFromRows(firstRow ? [firstRow] : [], category || "interolog");
+  const projection = getProjectionFields(category || resolvedCategory);
+  const query = {
+    ...buildResultFilter({ minConfidence }, projection),
+    Host_Protein: { $exists: true }
+  };
+  const total = await model.countDocuments(query);
+  if (total > TOPOLOGY_MAX_EDGES) {
+    throw new HttpError(413, `Result has ${total} rows; topology is limited to ${TOPOLOGY_MAX_EDGES}. Raise minConfidence.`, {
+      total,
+      maxEdges: TOPOLOGY_MAX_EDGES
+    });
+  }
+
+  const graph = createBipartiteGraph();
+  const cursor = model.find(query, projection).lean().cursor({ batchSize: 1000 });
+  for await (const rawRow of cursor) {
+    const row = scoreRowConfidence(rawRow, resolvedCategory);
+    addEdge(graph, row.Host_Protein, row.Pathogen_Protein, Number(row.Confidence));
+  }
+  return { graph, category: resolvedCategory };
+}
+
+async function getTopology({ resultId, category, minConfidence, top, limit }) {
+  const safeTop = Math.min(asPositiveInt(top, 20), 500);
+  const safeLimit = Math.min(asPositiveInt(limit, 1000), 50000);
+  const cacheKey = JSON.stringify({
+    type: "topology",
+    resultId,
+    category: String(category || ""),
+    minConfidence: String(minConfidence ?? ""),
+    top: safeTop,
+    limit: safeLimit
+  });
+  const cached = getResultCacheEntry(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const { graph, category: resolvedCategory } = await loadResultGraph({ resultId, category, minConfidence });
+  const { degree, weightedDegree } = computeDegrees(graph);
+  const { componentOf, sizes } = connectedComponents(graph);
+  const centrality = computeCentrality(graph, {
+    maxExactNodes: TOPOLOGY_EXACT_MAX_NODES,
+    sampleSize: TOPOLOGY_SAMPLE_SIZE
+  });
+
+  const nodes = graph.nodes.map((node, index) => ({
+    id: node.id,
+    side: node.side,
+    degree: degree[index],
+    weightedDegree: roundMetric(weightedDegree[index]),
+    betweenness: roundMetric(centrality.betweenness[index]),
+    closeness: roundMetric(centrality.closeness[index]),
+    component: componentOf[index]
+  }));
+  nodes.sort((a, b) => b.degree - a.degree || b.weightedDegree - a.weightedDegree || a.id.localeCompare(b.id));
+
+  const hostNodes = nodes.filter((node) => node.side === "host");
+  const pathogenNodes = nodes.filter((node) => node.side === "pathogen");
+  const response = {
+    category: resolvedCategory,
+    nodecount: nodes.length,
+    edgecount: graph.edgeCount,
+    hostcount: hostNodes.length,
+    pathogencount: pathogenNodes.length,
+    components: {
+      count: sizes.length,
+      largest: sizes.length > 0 ? Math.max(...sizes) : 0,
+      sizes: [...sizes].sort((a, b) => b - a).slice(0, safeTop)
+    },
+    centrality: {
+      sampled: centrality.sampled,
+      sources: centrality.sources
+    },
+    hubs: {
+      host: hostNodes.slice(0, safeTop),
+      pathogen: pathogenNodes.slice(0, safeTop)
+    },
+    nodes: nodes.slice(0, safeLimit),
+    hasMoreNodes: nodes.length > safeLimit
+  };
+  setResultCacheEntry(cacheKey, response);
+  return response;
+}
+
+async function getNeighborhood({ resultId, category, protein, depth, minConfidence, limit, host, pathogen }) {
   if (!resultId) {
     throw new HttpError(400, "Missing required query param: results");
   }
+  const center = String(protein || "").trim();
+  if (!center) {
+    throw new HttpError(400, "Missing required query param: protein");
+  }
+  const safeDepth = depth === undefined || depth === "" ? 1 : Number(depth);
+  if (safeDepth !== 1 && safeDepth !== 2) {
+    throw new HttpError(400, `Invalid depth: ${depth}. Use 1 or 2`);
+  }
+  const safeLimit = Math.min(asPositiveInt(limit, 5000), NEIGHBORHOOD_MAX_EDGES);
+
+  const cacheKey = JSON.stringify({
+    type: "neighborhood",
+    resultId,
+    category: String(category || ""),
+    protein: center,
+    depth: safeDepth,
+    minConfidence: String(minConfidence ?? ""),
+    limit: safeLimit,
+    host: String(host || ""),
+    pathogen: String(pathogen || "")
+  });
+  const cached = getResultCacheEntry(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
   const db = useDb("hpinet_results");
   const model = getOrCreateModel(db, resultId, wheatSchema);
-  const rawResults = await model.find({}, getProjectionFields(category || "interolog")).lean().exec();
+  const projection = getProjectionFields(category || "interolog");
+  const confidenceFilter = buildResultFilter({ minConfidence }, projection);
+  const nodeDepth = new Map([[`host:${center}`, 0], [`pathogen:${center}`, 0]]);
+  const rowsByKey = new Map();
+  let frontier = { host: [center], pathogen: [center] };
+  let truncated = false;
+
+  for (let level = 1; level <= safeDepth && !truncated; level += 1) {
+    const clauses = [];
+    if (frontier.host.length > 0) clauses.push({ Host_Protein: { $in: frontier.host } });
+    if (frontier.pathogen.length > 0) clauses.push({ Pathogen_Protein: { $in: frontier.pathogen } });
+    if (clauses.length === 0) {
+      break;
+    }
+    const rows = await model
+      .find({ $and: [confidenceFilter, { $or: clauses }] }, projection)
+      .sort({ Confidence: -1, _id: 1 })
+      .limit(safeLimit - rowsByKey.size + 1)
+      .lean()
+      .exec();
+
+    const next = { host: [], pathogen: [] };
+    for (const row of rows) {
+      const key = String(row._id);
+      if (rowsByKey.has(key)) {
+        continue;
+      }
+      if (rowsByKey.size >= safeLimit) {
+        truncated = true;
+        break;
+      }
+      rowsByKey.set(key, row);
+      for (const [side, id] of [["host", row.Host_Protein], ["pathogen", row.Pathogen_Protein]]) {
+        const nodeKey = `${side}:${id}`;
+        if (id && !nodeDepth.has(nodeKey)) {
+          nodeDepth.set(nodeKey, level);
+          next[side].push(id);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const rawResults = Array.from(rowsByKey.values());
   const resolvedCategory = inferCategoryFromRows(rawResults, category || "interolog");
   const results = scoreRowsConfidence(rawResults, resolvedCategory);
-  return { results };
+
+  const nodes = new Map();
+  for (const row of results) {
+    for (const [side, id] of [["host", row.Host_Protein], ["pathogen", row.Pathogen_Protein]]) {
+      const nodeKey = `${side}:${id}`;
+      if (!nodes.has(nodeKey)) {
+        nodes.set(nodeKey, { id, side, depth: nodeDepth.get(nodeKey), partners: new Set() });
+      }
+    }
+    nodes.get(`host:${row.Host_Protein}`).partners.add(row.Pathogen_Protein);
+    nodes.get(`pathogen:${row.Pathogen_Protein}`).partners.add(row.Host_Protein);
+  }
+
+  const species = await getResultSpecies(resultId, { host, pathogen });
+  const nodeList = Array.from(nodes.values());
+  const [hostCounts, pathogenCounts] = await Promise.all([
+    countGeneAnnotations({
+      side: "host",
+      species: species.host,
+      genes: nodeList.filter((node) => node.side === "host").map((node) => node.id)
+    }),
+    countGeneAnnotations({
+      side: "pathogen",
+      species: species.pathogen,
+      genes: nodeList.filter((node) => node.side === "pathogen").map((node) => node.id)
+    })
+  ]);
+
+  const response = {
+    protein: center,
+    depth: safeDepth,
+    category: resolvedCategory,
+    species,
+    found: results.length > 0,
+    truncated,
+    nodes: nodeList
+      .map(({ partners, ...node }) => ({
+        ...node,
+        degree: partners.size,
+        annotations: species[node.side] ? (node.side === "host" ? hostCounts : pathogenCounts).get(node.id) : null
+      }))
+      .sort((a, b) => a.depth - b.depth || b.degree - a.degree || a.id.localeCompare(b.id)),
+    results,
+    total: results.length,
+    hostcount: nodeList.filter((node) => node.side === "host").length,
+    pathogencount: nodeList.filter((node) => node.side === "pathogen").length
+  };
+  setResultCacheEntry(cacheKey, response);
+  return response;
+}
+
+async function explainPair({ resultId, category, host, pathogen, profile }) {
+  if (!resultId) {
+    throw new HttpError(400, "Missing required query param: results");
+  }
+  const hostId = String(host || "").trim();
+  const pathogenId = String(pathogen || "").trim();
+  if (!hostId || !pathogenId) {
+    throw new HttpError(400, "Missing required query params: host and pathogen");
+  }
+  const confidenceProfile = await resolveConfidenceProfile(profile);
+  const db = useDb("hpinet_results");
+  const model = getOrCreateModel(db, resultId, wheatSchema);
+  const rows = await model
+    .find({ Host_Protein: hostId, Pathogen_Protein: pathogenId })
+    .limit(EXPLAIN_MAX_ROWS)
+    .lean()
+    .exec();
+  if (rows.length === 0) {
+    throw new HttpError(404, `No rows for ${hostId}/${pathogenId} in ${resultId}`);
+  }
+  const resolvedCategory = category || (await getResultCategory(resultId)) || inferCategoryFromRows(rows, "interolog");
+  const explained = rows
+    .map((row) => explainRowConfidence(row, resolvedCategory, confidenceProfile))
+    .sort((a, b) => b.confidence - a.confidence);
+  const meta = getConfidenceMeta(confidenceProfile);
+  return {
+    resultId,
+    category: resolvedCategory,
+    profile: meta.profile,
+    host: hostId,
+    pathogen: pathogenId,
+    formula: meta.formula,
+    tierThresholds: meta.tierThresholds,
+    defaultSourceWeight: meta.defaultSourceWeight,
+    rowcount: explained.length,
+    confidence: explained[0].confidence,
+    tier: explained[0].tier,
+    rows: explained
+  };
+}
+
+async function exportNetwork({ resultId, category, limit, offset, sort, format, taxids = {}, profile }) {
+  const exportFormat = getExportFormat(format);
+  const network = await getNetwork({ resultId, category, limit, offset, sort, profile });
+  const resolvedCategory = inferCategoryFromRows(network.results, category || "interolog");
+  const columns = resultExportColumns(getProjectionFields(category || resolvedCategory), network.results[0]);
+  return {
+    contentType: exportFormat.contentType,
+    filename: `${resultId}-network.${exportFormat.extension}`,
+    body: serializeRows(exportFormat, { columns, category: resolvedCategory, ...taxids }, network.results)
+  };
+}
+
+async function downloadResults({ resultId, category, format, taxids = {}, profile }) {
+  if (!resultId) {
+    throw new HttpError(400, "Missing required query param: results");
+  }
+  const exportFormat = getExportFormat(format);
+  const confidenceProfile = await resolveConfidenceProfile(profile);
+  const db = useDb("hpinet_results");
+  const model = getOrCreateModel(db, resultId, wheatSchema);
+  const firstRow = await model.findOne({}).lean().exec();
+  const resolvedCategory = inferCategoryFromRows(firstRow ? [firstRow] : [], category || "interolog");
+  const projection = getProjectionFields(category || resolvedCategory);
+  const writer = exportFormat.createWriter({
+    columns: resultExportColumns(projection, firstRow),
+    category: resolvedCategory,
+    ...taxids
+  });
+  const cursor = model.find({}, projection).lean().cursor({ batchSize: 1000 });
+
+  async function* generate() {
+    yield writer.header();
+    for await (const rawRow of cursor) {
+      if (skipsRow(exportFormat, rawRow)) {
+        continue;
+      }
+      yield writer.row(scoreRowConfidence(rawRow, resolvedCategory, confidenceProfile));
+    }
+    yield writer.footer();
+  }
+
+  return {
+    contentType: exportFormat.contentType,
+    filename: `${resultId}.${exportFormat.extension}`,
+    stream: Readable.from(generate())
+  };
 }
 
 function getDomainModel(speciesKey) {
@@ -482,8 +946,14 @@ async function getDomainResults(body) {
 }
 
 module.exports = {
+  inferCategoryFromRows,
   getResults,
   getNetwork,
+  loadResultGraph,
+  getTopology,
+  getNeighborhood,
+  explainPair,
+  exportNetwork,
   downloadResults,
   getDomainResults,
   getDomainDownload
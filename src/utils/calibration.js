@@ -0,0 +1,270 @@
+const { HttpError } = require("../errors/HttpError");
+
+const POSITIVE_LABELS = new Set(["1", "true", "yes", "pos", "positive"]);
+const NEGATIVE_LABELS = new Set(["0", "false", "no", "neg", "negative"]);
+
+function parseLabel(value) {
+  const label = String(value ?? "").trim().toLowerCase();
+  if (label === "" || POSITIVE_LABELS.has(label)) return 1;
+  if (NEGATIVE_LABELS.has(label)) return 0;
+  return null;
+}
+
+function pairKey(host, pathogen) {
+  return `${host}\t${pathogen}`;
+}
+
+function addGoldPair(gold, host, pathogen, label, where) {
+  const key = pairKey(host, pathogen);
+  const existing = gold.get(key);
+  if (existing !== undefined && existing !== label) {
+    throw new HttpError(400, `Conflicting gold-standard labels for ${host}/${pathogen}${where}`);
+  }
+  gold.set(key, label);
+}
+
+// Accepts "host<TAB|,|space>pathogen[<sep>label]" lines or an array of
+// { host, pathogen, label } objects. A missing label means positive.
+function parseGoldStandard(input) {
+  const gold = new Map();
+  if (Array.isArray(input)) {
+    input.forEach((item, index) => {
+      const host = String(item?.host ?? item?.Host_Protein ?? "").trim();
+      const pathogen = String(item?.pathogen ?? item?.Pathogen_Protein ?? "").trim();
+      const label = parseLabel(item?.label);
+      if (!host || !pathogen || label === null) {
+        throw new HttpError(400, `Invalid gold-standard pair at index ${index}`);
+      }
+      addGoldPair(gold, host, pathogen, label, ` at index ${index}`);
+    });
+    return gold;
+  }
+
+  const lines = String(input || "").split(/\r?\n/);
+  let firstLine = true;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) {
+      return;
+    }
+    const [host, pathogen, rawLabel] = trimmed.split(/[\t,;]|\s+/).map((item) => item.trim());
+    const label = parseLabel(rawLabel);
+    const isHeader = firstLine && (label === null || /^host/i.test(host));
+    firstLine = false;
+    if (isHeader) {
+      return;
+    }
+    if (!host || !pathogen || label === null) {
+      throw new HttpError(400, `Invalid gold-standard line ${index + 1}: ${trimmed}`);
+    }
+    addGoldPair(gold, host, pathogen, label, ` on line ${index + 1}`);
+  });
+  return gold;
+}
+
+function countLabels(samples) {
+  let positives = 0;
+  for (const sample of samples) {
+    positives += sample.label;
+  }
+  return { positives, negatives: samples.length - positives };
+}
+
+// Mann-Whitney U with average ranks for tied scores.
+function rocAuc(samples) {
+  const { positives, negatives } = countLabels(samples);
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+  const sorted = [...samples].sort((a, b) => a.score - b.score);
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) j += 1;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k += 1) {
+      if (sorted[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// Average precision over distinct score thresholds (step-wise PR AUC).
+function averagePrecision(samples) {
+  const { positives } = countLabels(samples);
+  if (positives === 0) {
+    return null;
+  }
+  const sorted = [...samples].sort((a, b) => b.score - a.score);
+  let truePositives = 0;
+  let previousRecall = 0;
+  let area = 0;
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) {
+      truePositives += sorted[j].label;
+      j += 1;
+    }
+    const recall = truePositives / positives;
+    area += (recall - previousRecall) * (truePositives / j);
+    previousRecall = recall;
+    i = j;
+  }
+  return area;
+}
+
+function confusionAt(samples, threshold) {
+  let tp = 0;
+  let fp = 0;
+  let positives = 0;
+  for (const sample of samples) {
+    positives += sample.label;
+    if (sample.score >= threshold) {
+      if (sample.label === 1) tp += 1;
+      else fp += 1;
+    }
+  }
+  const negatives = samples.length - positives;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = positives > 0 ? tp / positives : null;
+  return {
+    threshold,
+    predicted: tp + fp,
+    precision,
+    recall,
+    fpr: negatives > 0 ? fp / negatives : null,
+    f1: precision && recall ? (2 * precision * recall) / (precision + recall) : 0
+  };
+}
+
+function thresholdCurve(samples, step = 0.05) {
+  const points = [];
+  for (let i = 1; i * step < 1; i += 1) {
+    points.push(confusionAt(samples, Number((i * step).toFixed(4))));
+  }
+  return points;
+}
+
+function reliabilityCurve(samples, bins = 10) {
+  const buckets = Array.from({ length: bins }, (_, i) => ({
+    lower: i / bins,
+    upper: (i + 1) / bins,
+    count: 0,
+    scoreSum: 0,
+    positives: 0
+  }));
+  let brier = 0;
+  for (const sample of samples) {
+    const bucket = buckets[Math.min(bins - 1, Math.floor(sample.score * bins))];
+    bucket.count += 1;
+    bucket.scoreSum += sample.score;
+    bucket.positives += sample.label;
+    brier += (sample.score - sample.label) ** 2;
+  }
+  let ece = 0;
+  const curve = buckets.map((bucket) => {
+    const meanConfidence = bucket.count > 0 ? bucket.scoreSum / bucket.count : null;
+    const observedRate = bucket.count > 0 ? bucket.positives / bucket.count : null;
+    if (bucket.count > 0) {
+      ece += (bucket.count / samples.length) * Math.abs(meanConfidence - observedRate);
+    }
+    return {
+      lower: Number(bucket.lower.toFixed(4)),
+      upper: Number(bucket.upper.toFixed(4)),
+      count: bucket.count,
+      meanConfidence,
+      observedRate
+    };
+  });
+  return {
+    bins: curve,
+    ece: samples.length > 0 ? ece : null,
+    brier: samples.length > 0 ? brier / samples.length : null
+  };
+}
+
+function projectToSimplex(values) {
+  const sorted = [...values].sort((a, b) => b - a);
+  let cumulative = 0;
+  let theta = 0;
+  for (let i = 0; i < sorted.length; i += 1) {
+    cumulative += sorted[i];
+    const candidate = (cumulative - 1) / (i + 1);
+    if (sorted[i] - candidate > 0) {
+      theta = candidate;
+    }
+  }
+  return values.map((value) => Math.max(0, value - theta));
+}
+
+// Least-squares fit of non-negative weights summing to 1, so the fitted
+// score stays in the same 0-1 range as the weighted confidence formula.
+function fitSimplexWeights(samples, initial, { iterations = 2000, tolerance = 1e-10 } = {}) {
+  const d = initial.length;
+  const gram = Array.from({ length: d }, () => new Float64Array(d));
+  const target = new Float64Array(d);
+  for (const { features, label } of samples) {
+    for (let i = 0; i < d; i += 1) {
+      target[i] += features[i] * label;
+      for (let j = 0; j < d; j += 1) {
+        gram[i][j] += features[i] * features[j];
+      }
+    }
+  }
+  let trace = 0;
+  for (let i = 0; i < d; i += 1) trace += gram[i][i];
+  if (trace === 0) {
+    return [...initial];
+  }
+  const step = 1 / trace;
+  let weights = projectToSimplex([...initial]);
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    const next = weights.map((w, i) => {
+      let gradient = -target[i];
+      for (let j = 0; j < d; j += 1) gradient += gram[i][j] * weights[j];
+      return w - step * gradient;
+    });
+    const projected = projectToSimplex(next);
+    const change = projected.reduce((sum, w, i) => sum + (w - weights[i]) ** 2, 0);
+    weights = projected;
+    if (change < tolerance) {
+      break;
+    }
+  }
+  return weights;
+}
+
+// Lowest threshold whose score >= threshold set reaches the target
+// precision, i.e. the one keeping the most recall.
+function thresholdForPrecision(samples, targetPrecision, minPredicted = 1) {
+  const sorted = [...samples].sort((a, b) => b.score - a.score);
+  let tp = 0;
+  let best = null;
+  for (let i = 0; i < sorted.length; ) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) {
+      tp += sorted[j].label;
+      j += 1;
+    }
+    if (j >= minPredicted && tp / j >= targetPrecision) {
+      best = sorted[i].score;
+    }
+    i = j;
+  }
+  return best;
+}
+
+module.exports = {
+  pairKey,
+  parseGoldStandard,
+  countLabels,
+  rocAuc,
+  averagePrecision,
+  confusionAt,
+  thresholdCurve,
+  reliabilityCurve,
+  projectToSimplex,
+  fitSimplexWeights,
+  thresholdForPrecision
+};
@@ -0,0 +1,15 @@
+const { JobCancelledError } = require("../errors/JobCancelledError");
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+// Lets pending I/O (aborts, HTTP requests, SSE writes) run during long
+// synchronous loops.
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = { throwIfCancelled, yieldToEventLoop };
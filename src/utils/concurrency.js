@@ -0,0 +1,109 @@
+// Runs fn over items with at most `limit` calls in flight. onResult sees
+// results strictly in input order, one call at a time, as soon as every
+// earlier item is done; a worker waits for its result to be handed over
+// before taking the next item, so a slow onResult holds back the pool.
+// After the first error nothing more is started or emitted, and the call
+// only rejects once every in-flight fn has settled.
+async function forEachOrdered(items, limit, fn, onResult = () => {}) {
+  const pending = new Map();
+  let nextIndex = 0;
+  let nextToEmit = 0;
+  let failed = false;
+  let firstError;
+  let emitting = Promise.resolve();
+
+  async function emitReady() {
+    while (!failed && pending.has(nextToEmit)) {
+      const result = pending.get(nextToEmit);
+      pending.delete(nextToEmit);
+      await onResult(result, nextToEmit);
+      nextToEmit += 1;
+    }
+  }
+
+  async function worker() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        pending.set(index, await fn(items[index], index));
+        emitting = emitting.then(emitReady);
+        await emitting;
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          firstError = error;
+        }
+        throw error;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.allSettled(Array.from({ length: workers }, worker));
+  if (failed) {
+    throw firstError;
+  }
+}
+
+// Ordered output for `count` producers running side by side. Each producer
+// calls write(index, batch) and, once done, finish(index) is called in index
+// order. Batches reach sink in index order: the earliest unfinished producer
+// goes straight through, later ones hold at most maxPendingBatches batches
+// and then wait for their turn. abort(error) releases every waiting producer.
+function createOrderedLanes(count, maxPendingBatches, sink) {
+  const lanes = Array.from({ length: count }, (_, index) => {
+    const lane = { index, pending: [], opened: false };
+    lane.turn = new Promise((resolve, reject) => {
+      lane.open = () => {
+        lane.opened = true;
+        resolve();
+      };
+      lane.reject = reject;
+    });
+    lane.turn.catch(() => {});
+    return lane;
+  });
+  if (lanes.length > 0) {
+    lanes[0].open();
+  }
+
+  function abort(error) {
+    for (const lane of lanes) {
+      if (!lane.opened) {
+        lane.reject(error);
+      }
+    }
+  }
+
+  async function drain(lane) {
+    await lane.turn;
+    try {
+      while (lane.pending.length > 0) {
+        await sink(lane.pending.shift(), lane.index);
+      }
+    } catch (error) {
+      abort(error);
+      throw error;
+    }
+  }
+
+  return {
+    async write(index, batch) {
+      const lane = lanes[index];
+      lane.pending.push(batch);
+      if (lane.opened || lane.pending.length >= maxPendingBatches) {
+        await drain(lane);
+      }
+    },
+    async finish(index) {
+      await drain(lanes[index]);
+      if (index + 1 < lanes.length) {
+        lanes[index + 1].open();
+      }
+    },
+    abort
+  };
+}
+
+module.exports = { forEachOrdered, createOrderedLanes };
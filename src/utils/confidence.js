@@ -18,6 +18,7 @@ const CATEGORY_WEIGHTS = {
   go: { method: 0.72, source: 0.03, cross: 0.05, annotation: 0.2 },
   gosim: { method: 0.72, source: 0.03, cross: 0.05, annotation: 0.2 },
   phylo: { method: 0.76, source: 0.04, cross: 0.1, annotation: 0.1 },
+  integrated: { method: 0.45, source: 0.15, cross: 0.35, annotation: 0.05 },
   default: { method: 0.6, source: 0.2, cross: 0.15, annotation: 0.05 }
 };
 
@@ -66,9 +67,19 @@ function parseSourceList(row) {
   return Array.from(new Set(sources));
 }
 
-function sourceWeight(source) {
+const DEFAULT_SOURCE_WEIGHT = 0.68;
+const DEFAULT_TIER_THRESHOLDS = { high: 0.75, medium: 0.5 };
+
+function matchSourceWeight(source, profile) {
   const k = String(source || "").toLowerCase();
-  return SOURCE_WEIGHTS[k] || 0.68;
+  const override = profile?.sourceWeights?.[k];
+  if (Number.isFinite(override)) return { source, weight: override, matched: "profile" };
+  if (SOURCE_WEIGHTS[k]) return { source, weight: SOURCE_WEIGHTS[k], matched: "builtin" };
+  return { source, weight: profile?.defaultSourceWeight ?? DEFAULT_SOURCE_WEIGHT, matched: "default" };
+}
+
+function sourceWeight(source, profile) {
+  return matchSourceWeight(source, profile).weight;
 }
 
 function average(values, fallback = 0) {
@@ -79,30 +90,72 @@ function average(values, fallback = 0) {
   return sum / valid.length;
 }
 
-function inferMethodScore(row, category) {
+const KNOWN_METHODS = ["interolog", "domain", "go_similarity", "phylo_profiling"];
+
+function methodInput(row, field, value) {
+  return { field, raw: field ? row?.[field] ?? null : null, value };
+}
+
+function sideHomology(identity, coverage) {
+  const pident = identity === null || identity === undefined || identity === "" ? null : parseNumeric(identity);
+  if (pident === null) return null;
+  const qcovs = coverage === null || coverage === undefined || coverage === "" ? null : parseNumeric(coverage);
+  return clamp01(pident / 100) * (0.5 + 0.5 * (qcovs === null ? 1 : clamp01(qcovs / 100)));
+}
+
+// BLAST support of an interolog template: identity scaled by query coverage
+// per side, combined as a geometric mean when both sides are known.
+function inferHomology(row) {
+  const host = sideHomology(row?.HostIdentity, row?.HostCoverage);
+  const pathogen = sideHomology(row?.PathogenIdentity, row?.PathogenCoverage);
+  if (host === null && pathogen === null) return null;
+  if (host === null) return pathogen;
+  if (pathogen === null) return host;
+  return Math.sqrt(host * pathogen);
+}
+
+function withHomology(input, row) {
+  const homology = inferHomology(row);
+  if (homology === null) return input;
+  const value = input.field ? 0.6 * input.value + 0.4 * homology : homology;
+  return { ...input, template: input.value, homology: Number(homology.toFixed(4)), value };
+}
+
+function inferMethodInput(row, category) {
   const c = String(category || "").toLowerCase();
-  if (c === "go" || c === "gosim" || c === "phylo") {
-    const fromScore = normalizeRawConfidence(row?.Score);
-    if (fromScore !== null) return fromScore;
-    return normalizeRawConfidence(row?.score) || 0;
+  if (row?.MethodScores && typeof row.MethodScores === "object") {
+    const scores = Object.values(row.MethodScores).map(normalizeRawConfidence).filter((v) => v !== null);
+    if (scores.length > 0) return methodInput(row, "MethodScores", Math.max(...scores));
   }
-  if (c === "domain") {
+  if (c === "go" || c === "gosim" || c === "phylo" || c === "domain") {
     const fromScore = normalizeRawConfidence(row?.Score);
-    if (fromScore !== null) return fromScore;
-    return normalizeRawConfidence(row?.score) || 0;
+    if (fromScore !== null) return methodInput(row, "Score", fromScore);
+    return methodInput(row, "score", normalizeRawConfidence(row?.score) || 0);
   }
   if (c === "consensus" || c === "interolog") {
     const fromConfidence = normalizeRawConfidence(row?.Confidence);
-    if (fromConfidence !== null) return fromConfidence;
+    if (fromConfidence !== null) return withHomology(methodInput(row, "Confidence", fromConfidence), row);
     const fromScore = normalizeRawConfidence(row?.Score);
-    if (fromScore !== null) return fromScore;
-    return 0;
+    if (fromScore !== null) return withHomology(methodInput(row, "Score", fromScore), row);
+    return withHomology(methodInput(row, null, 0), row);
   }
-  return normalizeRawConfidence(row?.Score) || normalizeRawConfidence(row?.score) || 0;
+  const fromScore = normalizeRawConfidence(row?.Score);
+  if (fromScore) return methodInput(row, "Score", fromScore);
+  const fromLowerScore = normalizeRawConfidence(row?.score);
+  if (fromLowerScore) return methodInput(row, "score", fromLowerScore);
+  return methodInput(row, null, 0);
+}
+
+function inferMethodScore(row, category) {
+  return inferMethodInput(row, category).value;
 }
 
 function inferCrossMethodSupport(row, category) {
   const c = String(category || "").toLowerCase();
+  if (Array.isArray(row?.SupportingMethods) && row.SupportingMethods.length > 0) {
+    const count = Math.min(row.SupportingMethods.length, KNOWN_METHODS.length);
+    return 0.35 + (0.65 * (count - 1)) / (KNOWN_METHODS.length - 1);
+  }
   if (c === "consensus") return 1;
   if (c === "interolog") return 0.35;
   if (c === "domain") return 0.3;
@@ -116,28 +169,40 @@ function inferCrossMethodSupport(row, category) {
   return 0.2;
 }
 
+function annotationFlags(row) {
+  return {
+    hasGo: Boolean(row?.Host_GO || row?.Pathogen_GO),
+    hasDomainAnno: Boolean(row?.DomainA_interpro || row?.DomianA_interpro || row?.DomainB_interpro || row?.DomianB_interpro),
+    hasPmid: Boolean(row?.PMID)
+  };
+}
+
 function inferAnnotationSupport(row, category) {
   const c = String(category || "").toLowerCase();
-  const hasGo = Boolean(row?.Host_GO || row?.Pathogen_GO);
-  const hasDomainAnno = Boolean(row?.DomainA_interpro || row?.DomianA_interpro || row?.DomainB_interpro || row?.DomianB_interpro);
-  const hasPmid = Boolean(row?.PMID);
+  const { hasGo, hasDomainAnno, hasPmid } = annotationFlags(row);
 
   if (c === "go" || c === "gosim") return hasGo ? 1 : 0.35;
   if (c === "domain") return hasDomainAnno ? 0.9 : 0.5;
   if (c === "consensus") return hasDomainAnno || hasPmid ? 0.85 : 0.5;
   if (c === "interolog") return hasPmid ? 0.7 : 0.45;
   if (c === "phylo") return hasDomainAnno || hasGo ? 0.5 : 0.35;
+  if (c === "integrated") return hasPmid || hasDomainAnno || hasGo ? 0.8 : 0.5;
   return 0.4;
 }
 
-function getWeights(category) {
+function getWeights(category, profile) {
   const c = String(category || "").toLowerCase();
-  return CATEGORY_WEIGHTS[c] || CATEGORY_WEIGHTS.default;
+  const weights = { ...CATEGORY_WEIGHTS, ...(profile?.categoryWeights || {}) };
+  return weights[c] || weights.default;
+}
+
+function getTierThresholds(profile) {
+  return { ...DEFAULT_TIER_THRESHOLDS, ...(profile?.tierThresholds || {}) };
 }
 
-function tierFromConfidence(confidence) {
-  if (confidence >= 0.75) return "High";
-  if (confidence >= 0.5) return "Medium";
+function tierFromConfidence(confidence, thresholds = DEFAULT_TIER_THRESHOLDS) {
+  if (confidence >= thresholds.high) return "High";
+  if (confidence >= thresholds.medium) return "Medium";
   return "Low";
 }
 
@@ -151,14 +216,22 @@ function methodsPresent(category) {
   return [c || "unknown"];
 }
 
-function scoreRowConfidence(row, category) {
-  const rawConfidence = row?.Confidence ?? row?.Score ?? row?.score ?? null;
-  const methodScore = clamp01(inferMethodScore(row, category));
+function rawConfidenceOf(row) {
+  if (row && row.RawConfidence !== undefined) {
+    return row.RawConfidence;
+  }
+  return row?.Confidence ?? row?.Score ?? row?.score ?? null;
+}
+
+function scoreRowConfidence(row, category, profile = null) {
+  const rawConfidence = rawConfidenceOf(row);
+  const rawRow = row && row.RawConfidence !== undefined ? { ...row, Confidence: rawConfidence } : row;
+  const methodScore = clamp01(inferMethodScore(rawRow, category));
   const sources = parseSourceList(row);
-  const sourceScore = clamp01(average(sources.map(sourceWeight), 0.65));
+  const sourceScore = clamp01(average(sources.map((source) => sourceWeight(source, profile)), 0.65));
   const crossSupport = clamp01(inferCrossMethodSupport(row, category));
   const annotationSupport = clamp01(inferAnnotationSupport(row, category));
-  const weights = getWeights(category);
+  const weights = getWeights(category, profile);
 
   const confidence = clamp01(
     methodScore * weights.method +
@@ -172,38 +245,131 @@ function scoreRowConfidence(row, category) {
     ...row,
     RawConfidence: rawConfidence,
     Confidence: rounded,
-    ConfidenceTier: tierFromConfidence(rounded),
+    ConfidenceTier: tierFromConfidence(rounded, getTierThresholds(profile)),
     ConfidenceComponents: {
       method: Number(methodScore.toFixed(4)),
       source: Number(sourceScore.toFixed(4)),
       cross: Number(crossSupport.toFixed(4)),
       annotation: Number(annotationSupport.toFixed(4))
     },
-    EvidenceMethods: methodsPresent(category),
+    EvidenceMethods: Array.isArray(row?.SupportingMethods) ? row.SupportingMethods : methodsPresent(category),
     EvidenceSources: sources
   };
 }
 
-function scoreRowsConfidence(rows, category) {
+function scoreRowsConfidence(rows, category, profile = null) {
   if (!Array.isArray(rows) || rows.length === 0) return [];
-  return rows.map((row) => scoreRowConfidence(row, category));
+  return rows.map((row) => scoreRowConfidence(row, category, profile));
+}
+
+function crossInput(row, category) {
+  if (Array.isArray(row?.SupportingMethods) && row.SupportingMethods.length > 0) {
+    return { basis: "supportingMethods", supportingMethods: row.SupportingMethods };
+  }
+  const c = String(category || "").toLowerCase();
+  if (["consensus", "interolog", "domain", "go", "gosim", "phylo"].includes(c)) {
+    return { basis: "category", category: c };
+  }
+  return {
+    basis: "fields",
+    hasInterolog: Boolean(row?.Method || row?.intdb_x),
+    hasDomain: Boolean(row?.DomainA_interpro || row?.DomianA_interpro || row?.intdb)
+  };
+}
+
+function blastStats(row, prefix) {
+  return {
+    identity: row?.[`${prefix}Identity`] ?? null,
+    coverage: row?.[`${prefix}Coverage`] ?? null,
+    evalue: row?.[`${prefix}Evalue`] ?? null,
+    bitscore: row?.[`${prefix}Bitscore`] ?? null
+  };
+}
+
+function explainComponent(inputs, value, weight) {
+  const v = clamp01(value);
+  return {
+    inputs,
+    value: Number(v.toFixed(4)),
+    weight,
+    contribution: Number((v * weight).toFixed(4))
+  };
+}
+
+function explainRowConfidence(row, category, profile = null) {
+  const scored = scoreRowConfidence(row, category, profile);
+  const rawRow = row && row.RawConfidence !== undefined ? { ...row, Confidence: scored.RawConfidence } : row;
+  const weights = getWeights(category, profile);
+  const method = inferMethodInput(rawRow, category);
+  const sources = scored.EvidenceSources.map((source) => matchSourceWeight(source, profile));
+
+  return {
+    row: scored,
+    confidence: scored.Confidence,
+    tier: scored.ConfidenceTier,
+    components: {
+      method: explainComponent(
+        method.homology === undefined
+          ? { field: method.field, raw: method.raw }
+          : {
+              field: method.field,
+              raw: method.raw,
+              template: Number(method.template.toFixed(4)),
+              homology: method.homology,
+              blast: {
+                host: blastStats(row, "Host"),
+                pathogen: blastStats(row, "Pathogen")
+              }
+            },
+        method.value,
+        weights.method
+      ),
+      source: explainComponent(
+        {
+          sources,
+          matched: sources.filter((item) => item.matched !== "default").map((item) => item.source),
+          defaulted: sources.filter((item) => item.matched === "default").map((item) => item.source),
+          noSourceFallback: sources.length === 0 ? 0.65 : null
+        },
+        average(sources.map((item) => item.weight), 0.65),
+        weights.source
+      ),
+      cross: explainComponent(crossInput(row, category), inferCrossMethodSupport(row, category), weights.cross),
+      annotation: explainComponent(
+        annotationFlags(row),
+        inferAnnotationSupport(row, category),
+        weights.annotation
+      )
+    }
+  };
 }
 
-function getConfidenceMeta() {
+function getConfidenceMeta(profile = null) {
+  const thresholds = getTierThresholds(profile);
+  const high = thresholds.high.toFixed(2);
+  const medium = thresholds.medium.toFixed(2);
   return {
+    profile: profile?.name || "default",
     formula: "Confidence = (method x Wm) + (source x Ws) + (cross x Wx) + (annotation x Wa)",
     tierThresholds: {
-      high: ">= 0.75",
-      medium: ">= 0.50 and < 0.75",
-      low: "< 0.50"
+      high: `>= ${high}`,
+      medium: `>= ${medium} and < ${high}`,
+      low: `< ${medium}`
     },
-    categoryWeights: CATEGORY_WEIGHTS,
-    sourceWeights: SOURCE_WEIGHTS
+    categoryWeights: { ...CATEGORY_WEIGHTS, ...(profile?.categoryWeights || {}) },
+    sourceWeights: { ...SOURCE_WEIGHTS, ...(profile?.sourceWeights || {}) },
+    defaultSourceWeight: profile?.defaultSourceWeight ?? DEFAULT_SOURCE_WEIGHT
   };
 }
 
 module.exports = {
+  CATEGORY_WEIGHTS,
+  SOURCE_WEIGHTS,
+  DEFAULT_TIER_THRESHOLDS,
+  methodsPresent,
+  normalizeRawConfidence,
   scoreRowConfidence,
   scoreRowsConfidence,
+  explainRowConfidence,
   getConfidenceMeta
 };
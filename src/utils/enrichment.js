@@ -0,0 +1,100 @@
+function createLogFactorial(max) {
+  const table = new Float64Array(max + 1);
+  for (let i = 2; i <= max; i += 1) {
+    table[i] = table[i - 1] + Math.log(i);
+  }
+  return table;
+}
+
+function logChoose(logFactorial, n, k) {
+  if (k < 0 || k > n) {
+    return -Infinity;
+  }
+  return logFactorial[n] - logFactorial[k] - logFactorial[n - k];
+}
+
+// P(X >= k) for X ~ Hypergeometric(population, successes, draws).
+function hypergeometricTail(logFactorial, k, population, successes, draws) {
+  const upper = Math.min(successes, draws);
+  const denominator = logChoose(logFactorial, population, draws);
+  let p = 0;
+  for (let i = k; i <= upper; i += 1) {
+    p += Math.exp(
+      logChoose(logFactorial, successes, i) +
+        logChoose(logFactorial, population - successes, draws - i) -
+        denominator
+    );
+  }
+  return Math.min(1, p);
+}
+
+function adjustBenjaminiHochberg(pValues) {
+  const order = pValues.map((p, i) => [p, i]).sort((a, b) => a[0] - b[0]);
+  const adjusted = new Array(pValues.length);
+  let running = 1;
+  for (let rank = order.length; rank >= 1; rank -= 1) {
+    const [p, index] = order[rank - 1];
+    running = Math.min(running, (p * order.length) / rank);
+    adjusted[index] = running;
+  }
+  return adjusted;
+}
+
+// backgroundTerms maps every annotated network gene to its Set of terms; only
+// annotated genes count towards the population and draw sizes.
+function enrichTerms({ memberGenes, backgroundTerms, descriptions, minCount = 2, alpha = 0.05, limit = 10 }) {
+  const population = backgroundTerms.size;
+  const members = memberGenes.filter((gene) => backgroundTerms.has(gene));
+  if (population === 0 || members.length === 0) {
+    return [];
+  }
+
+  const termTotals = new Map();
+  for (const terms of backgroundTerms.values()) {
+    for (const term of terms) {
+      termTotals.set(term, (termTotals.get(term) || 0) + 1);
+    }
+  }
+  const termHits = new Map();
+  for (const gene of members) {
+    for (const term of backgroundTerms.get(gene)) {
+      if (!termHits.has(term)) {
+        termHits.set(term, []);
+      }
+      termHits.get(term).push(gene);
+    }
+  }
+
+  const logFactorial = createLogFactorial(population);
+  const tested = [];
+  for (const [term, genes] of termHits) {
+    if (genes.length < minCount) {
+      continue;
+    }
+    const background = termTotals.get(term);
+    tested.push({
+      term,
+      description: descriptions.get(term) || null,
+      count: genes.length,
+      moduleSize: members.length,
+      background,
+      population,
+      foldEnrichment: Number(((genes.length / members.length) / (background / population)).toFixed(4)),
+      pValue: hypergeometricTail(logFactorial, genes.length, population, background, members.length),
+      genes: genes.sort()
+    });
+  }
+  const adjusted = adjustBenjaminiHochberg(tested.map((item) => item.pValue));
+  return tested
+    .map((item, i) => ({ ...item, adjustedPValue: adjusted[i] }))
+    .filter((item) => item.adjustedPValue <= alpha)
+    .sort((a, b) => a.adjustedPValue - b.adjustedPValue || b.count - a.count)
+    .slice(0, limit);
+}
+
+module.exports = {
+  hypergeometricTail,
+  adjustBenjaminiHochberg,
+  createLogFactorial,
+  enrichTerms
+};
@@ -0,0 +1,298 @@
+const { HttpError } = require("../errors/HttpError");
+const { mitabWriter } = require("./mitabFormat");
+
+const CONFIDENCE_COLUMNS = ["ConfidenceTier", "RawConfidence", "EvidenceMethods", "EvidenceSources"];
+const NODE_COLUMNS = ["Host_Protein", "Pathogen_Protein"];
+const EDGE_EXTRA_COLUMNS = ["Confidence", "ConfidenceTier", "EvidenceSources"];
+const NUMERIC_COLUMNS = new Set(["Confidence", "Score", "score"]);
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => (item && typeof item === "object" ? JSON.stringify(item) : item)).join(";");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+  return cellText(value).replace(/[\t\r\n]+/g, " ");
+}
+
+function delimitedWriter(delimiter, formatCell) {
+  return function createWriter({ columns }) {
+    return {
+      header: () => `${columns.map(formatCell).join(delimiter)}\n`,
+      row: (row) => `${columns.map((column) => formatCell(row[column])).join(delimiter)}\n`,
+      footer: () => ""
+    };
+  };
+}
+
+function jsonWriter() {
+  let count = 0;
+  return {
+    header: () => '{"results":[',
+    row: (row) => {
+      const prefix = count > 0 ? "," : "";
+      count += 1;
+      return `${prefix}${JSON.stringify(row)}`;
+    },
+    footer: () => "]}"
+  };
+}
+
+function xmlEscape(value) {
+  return cellText(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function edgeColumns(columns) {
+  const result = columns.filter((column) => !NODE_COLUMNS.includes(column) && !CONFIDENCE_COLUMNS.includes(column));
+  for (const column of EDGE_EXTRA_COLUMNS) {
+    if (!result.includes(column)) {
+      result.push(column);
+    }
+  }
+  return result;
+}
+
+function columnType(column) {
+  return NUMERIC_COLUMNS.has(column) ? "double" : "string";
+}
+
+function edgeValue(row, column) {
+  const value = row[column];
+  if (NUMERIC_COLUMNS.has(column)) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  return value === undefined ? null : value;
+}
+
+function createNodeTracker() {
+  const nodes = new Map();
+  return {
+    nodes,
+    add(id, type) {
+      if (!id || nodes.has(id)) {
+        return false;
+      }
+      nodes.set(id, type);
+      return true;
+    }
+  };
+}
+
+function cytoscapeWriter({ columns }) {
+  const attributes = edgeColumns(columns);
+  const tracker = createNodeTracker();
+  let count = 0;
+  return {
+    header: () => '{"elements":{"edges":[',
+    row: (row) => {
+      tracker.add(row.Host_Protein, "host");
+      tracker.add(row.Pathogen_Protein, "pathogen");
+      count += 1;
+      const data = {
+        id: `e${count}`,
+        source: row.Host_Protein,
+        target: row.Pathogen_Protein,
+        interaction: "pp"
+      };
+      for (const column of attributes) {
+        data[column] = edgeValue(row, column);
+      }
+      return `${count > 1 ? "," : ""}${JSON.stringify({ data })}`;
+    },
+    footer: () => {
+      const nodes = Array.from(tracker.nodes, ([id, type]) => JSON.stringify({ data: { id, name: id, type } }));
+      return `],"nodes":[${nodes.join(",")}]}}`;
+    }
+  };
+}
+
+function sifWriter() {
+  return {
+    header: () => "",
+    row: (row) => `${tsvCell(row.Host_Protein)}\tpp\t${tsvCell(row.Pathogen_Protein)}\n`,
+    footer: () => ""
+  };
+}
+
+function graphmlWriter({ columns }) {
+  const attributes = edgeColumns(columns);
+  const tracker = createNodeTracker();
+  let count = 0;
+
+  function nodeXml(id, type) {
+    return `    <node id="${xmlEscape(id)}"><data key="type">${type}</data></node>\n`;
+  }
+
+  return {
+    header: () => {
+      const keys = attributes.map(
+        (column) => `  <key id="${xmlEscape(column)}" for="edge" attr.name="${xmlEscape(column)}" attr.type="${columnType(column)}"/>\n`
+      );
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n',
+        '  <key id="type" for="node" attr.name="type" attr.type="string"/>\n',
+        ...keys,
+        '  <graph id="G" edgedefault="undirected">\n'
+      ].join("");
+    },
+    row: (row) => {
+      let xml = "";
+      if (tracker.add(row.Host_Protein, "host")) {
+        xml += nodeXml(row.Host_Protein, "host");
+      }
+      if (tracker.add(row.Pathogen_Protein, "pathogen")) {
+        xml += nodeXml(row.Pathogen_Protein, "pathogen");
+      }
+      count += 1;
+      const data = attributes
+        .map((column) => [column, edgeValue(row, column)])
+        .filter(([, value]) => value !== null && value !== "")
+        .map(([column, value]) => `<data key="${xmlEscape(column)}">${xmlEscape(value)}</data>`)
+        .join("");
+      xml += `    <edge id="e${count}" source="${xmlEscape(row.Host_Protein)}" target="${xmlEscape(row.Pathogen_Protein)}">${data}</edge>\n`;
+      return xml;
+    },
+    footer: () => "  </graph>\n</graphml>\n"
+  };
+}
+
+function xgmmlWriter({ columns, category }) {
+  const attributes = edgeColumns(columns);
+  const tracker = createNodeTracker();
+
+  function nodeXml(id, type) {
+    return `  <node id="${xmlEscape(id)}" label="${xmlEscape(id)}"><att name="type" type="string" value="${type}"/></node>\n`;
+  }
+
+  return {
+    header: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>\n',
+      `<graph label="${xmlEscape(`hpinet ${category || ""}`.trim())}" directed="0" `,
+      'xmlns="http://www.cs.rpi.edu/XGMML" xmlns:xlink="http://www.w3.org/1999/xlink">\n'
+    ].join(""),
+    row: (row) => {
+      let xml = "";
+      if (tracker.add(row.Host_Protein, "host")) {
+        xml += nodeXml(row.Host_Protein, "host");
+      }
+      if (tracker.add(row.Pathogen_Protein, "pathogen")) {
+        xml += nodeXml(row.Pathogen_Protein, "pathogen");
+      }
+      const atts = attributes
+        .map((column) => [column, edgeValue(row, column)])
+        .filter(([, value]) => value !== null && value !== "")
+        .map(([column, value]) => `<att name="${xmlEscape(column)}" type="${columnType(column) === "double" ? "real" : "string"}" value="${xmlEscape(value)}"/>`)
+        .join("");
+      const label = `${row.Host_Protein} (pp) ${row.Pathogen_Protein}`;
+      xml += `  <edge label="${xmlEscape(label)}" source="${xmlEscape(row.Host_Protein)}" target="${xmlEscape(row.Pathogen_Protein)}">${atts}</edge>\n`;
+      return xml;
+    },
+    footer: () => "</graph>\n"
+  };
+}
+
+const EXPORT_FORMATS = {
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    keepsPlaceholderRows: true,
+    createWriter: jsonWriter
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    createWriter: delimitedWriter(",", csvCell)
+  },
+  tsv: {
+    contentType: "text/tab-separated-values; charset=utf-8",
+    extension: "tsv",
+    createWriter: delimitedWriter("\t", tsvCell)
+  },
+  cytoscape: {
+    contentType: "application/json; charset=utf-8",
+    extension: "cyjs",
+    createWriter: cytoscapeWriter
+  },
+  sif: {
+    contentType: "text/plain; charset=utf-8",
+    extension: "sif",
+    createWriter: sifWriter
+  },
+  graphml: {
+    contentType: "application/graphml+xml; charset=utf-8",
+    extension: "graphml",
+    createWriter: graphmlWriter
+  },
+  xgmml: {
+    contentType: "application/xml; charset=utf-8",
+    extension: "xgmml",
+    createWriter: xgmmlWriter
+  },
+  mitab: {
+    contentType: "text/plain; charset=utf-8",
+    extension: "mitab.txt",
+    createWriter: mitabWriter
+  }
+};
+
+function getExportFormat(format) {
+  const key = String(format || "json").trim().toLowerCase();
+  const exportFormat = EXPORT_FORMATS[key];
+  if (!exportFormat) {
+    throw new HttpError(400, `Unsupported format: ${format}. Supported: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+  return { name: key, ...exportFormat };
+}
+
+function exportColumns(projection) {
+  const columns = Object.keys(projection);
+  for (const column of CONFIDENCE_COLUMNS) {
+    if (!columns.includes(column)) {
+      columns.push(column);
+    }
+  }
+  return columns;
+}
+
+function skipsRow(exportFormat, row) {
+  return !exportFormat.keepsPlaceholderRows && !row.Host_Protein && !row.Pathogen_Protein;
+}
+
+function serializeRows(exportFormat, options, rows) {
+  const writer = exportFormat.createWriter(options);
+  const parts = [writer.header()];
+  for (const row of rows) {
+    if (skipsRow(exportFormat, row)) {
+      continue;
+    }
+    parts.push(writer.row(row));
+  }
+  parts.push(writer.footer());
+  return parts.join("");
+}
+
+module.exports = {
+  getExportFormat,
+  exportColumns,
+  skipsRow,
+  serializeRows
+};
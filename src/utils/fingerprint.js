@@ -0,0 +1,29 @@
+const { createHash } = require("node:crypto");
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = canonicalize(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+function hashParams(value) {
+  return createHash("sha256").update(JSON.stringify(canonicalize(value))).digest("hex");
+}
+
+function sortedUnique(values) {
+  return Array.from(new Set(values)).sort();
+}
+
+module.exports = {
+  hashParams,
+  sortedUnique
+};
@@ -0,0 +1,314 @@
+function createBipartiteGraph() {
+  return {
+    nodes: [],
+    nodeIndex: new Map(),
+    adjacency: [],
+    edgeCount: 0
+  };
+}
+
+function nodeKey(side, id) {
+  return `${side}:${id}`;
+}
+
+function ensureNode(graph, side, id) {
+  const key = nodeKey(side, id);
+  let index = graph.nodeIndex.get(key);
+  if (index === undefined) {
+    index = graph.nodes.length;
+    graph.nodes.push({ id, side });
+    graph.nodeIndex.set(key, index);
+    graph.adjacency.push(new Map());
+  }
+  return index;
+}
+
+function findNode(graph, side, id) {
+  const index = graph.nodeIndex.get(nodeKey(side, id));
+  return index === undefined ? null : index;
+}
+
+function addEdge(graph, hostId, pathogenId, weight = 1) {
+  if (!hostId || !pathogenId) {
+    return;
+  }
+  const a = ensureNode(graph, "host", hostId);
+  const b = ensureNode(graph, "pathogen", pathogenId);
+  const w = Number.isFinite(weight) ? weight : 0;
+  const existing = graph.adjacency[a].get(b);
+  if (existing === undefined) {
+    graph.edgeCount += 1;
+    graph.adjacency[a].set(b, w);
+    graph.adjacency[b].set(a, w);
+  } else if (w > existing) {
+    graph.adjacency[a].set(b, w);
+    graph.adjacency[b].set(a, w);
+  }
+}
+
+function computeDegrees(graph) {
+  const n = graph.nodes.length;
+  const degree = new Int32Array(n);
+  const weightedDegree = new Float64Array(n);
+  for (let v = 0; v < n; v += 1) {
+    degree[v] = graph.adjacency[v].size;
+    for (const w of graph.adjacency[v].values()) {
+      weightedDegree[v] += w;
+    }
+  }
+  return { degree, weightedDegree };
+}
+
+function connectedComponents(graph) {
+  const n = graph.nodes.length;
+  const componentOf = new Int32Array(n).fill(-1);
+  const sizes = [];
+  const queue = new Int32Array(n);
+  for (let start = 0; start < n; start += 1) {
+    if (componentOf[start] !== -1) {
+      continue;
+    }
+    const component = sizes.length;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    componentOf[start] = component;
+    while (head < tail) {
+      const v = queue[head++];
+      for (const u of graph.adjacency[v].keys()) {
+        if (componentOf[u] === -1) {
+          componentOf[u] = component;
+          queue[tail++] = u;
+        }
+      }
+    }
+    sizes.push(tail);
+  }
+  return { componentOf, sizes };
+}
+
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function samplePivots(n, sampleSize, seed) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  if (sampleSize >= n) {
+    return order;
+  }
+  const random = seededRandom(seed);
+  for (let i = 0; i < sampleSize; i += 1) {
+    const j = i + Math.floor(random() * (n - i));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order.slice(0, sampleSize);
+}
+
+// Brandes betweenness and BFS closeness (Wasserman-Faust for disconnected
+// graphs). Above maxExactNodes both are estimated from sampled BFS sources.
+function computeCentrality(graph, { maxExactNodes = 2000, sampleSize = 500, seed = 1 } = {}) {
+  const n = graph.nodes.length;
+  const betweenness = new Float64Array(n);
+  const closeness = new Float64Array(n);
+  if (n === 0) {
+    return { betweenness, closeness, sampled: false, sources: 0 };
+  }
+
+  const sampled = n > maxExactNodes;
+  const sources = samplePivots(n, sampled ? Math.min(sampleSize, n) : n, seed);
+  const { componentOf, sizes } = connectedComponents(graph);
+  const distanceSum = new Float64Array(n);
+  const reachedBy = new Int32Array(n);
+
+  const sigma = new Float64Array(n);
+  const dist = new Int32Array(n);
+  const delta = new Float64Array(n);
+  const stack = new Int32Array(n);
+  const queue = new Int32Array(n);
+  const predecessors = Array.from({ length: n }, () => []);
+
+  for (const s of sources) {
+    let stackSize = 0;
+    let head = 0;
+    let tail = 0;
+    dist.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    sigma[s] = 1;
+    dist[s] = 0;
+    predecessors[s].length = 0;
+    queue[tail++] = s;
+    while (head < tail) {
+      const v = queue[head++];
+      stack[stackSize++] = v;
+      for (const w of graph.adjacency[v].keys()) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          predecessors[w].length = 0;
+          queue[tail++] = w;
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    while (stackSize > 0) {
+      const w = stack[--stackSize];
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      if (w !== s) {
+        betweenness[w] += delta[w];
+        distanceSum[w] += dist[w];
+        reachedBy[w] += 1;
+      }
+    }
+  }
+
+  const scale = sampled ? n / sources.length : 1;
+  const pairs = n > 2 ? ((n - 1) * (n - 2)) / 2 : 1;
+  for (let v = 0; v < n; v += 1) {
+    betweenness[v] = ((betweenness[v] * scale) / 2) / pairs;
+    const reachable = sizes[componentOf[v]] - 1;
+    if (reachable > 0 && reachedBy[v] > 0 && n > 1) {
+      const averageDistance = distanceSum[v] / reachedBy[v];
+      closeness[v] = (1 / averageDistance) * (reachable / (n - 1));
+    }
+  }
+
+  return { betweenness, closeness, sampled, sources: sources.length };
+}
+
+function moveNodesLocally(adjacency, strength, totalWeight, resolution, random) {
+  const n = adjacency.length;
+  const community = Int32Array.from({ length: n }, (_, i) => i);
+  const communityTotal = Float64Array.from(strength);
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  let moved = false;
+
+  for (let pass = 0; pass < 20; pass += 1) {
+    let movedThisPass = false;
+    for (const i of order) {
+      const current = community[i];
+      const links = new Map();
+      for (const [j, w] of adjacency[i]) {
+        if (j !== i) {
+          links.set(community[j], (links.get(community[j]) || 0) + w);
+        }
+      }
+      communityTotal[current] -= strength[i];
+      const factor = (resolution * strength[i]) / totalWeight;
+      let best = current;
+      let bestGain = (links.get(current) || 0) - communityTotal[current] * factor;
+      for (const [candidate, w] of links) {
+        const gain = w - communityTotal[candidate] * factor;
+        if (gain > bestGain + 1e-12) {
+          best = candidate;
+          bestGain = gain;
+        }
+      }
+      communityTotal[best] += strength[i];
+      if (best !== current) {
+        community[i] = best;
+        movedThisPass = true;
+        moved = true;
+      }
+    }
+    if (!movedThisPass) {
+      break;
+    }
+  }
+  return { community, moved };
+}
+
+function aggregateCommunities(adjacency, community) {
+  const labels = new Map();
+  for (const c of community) {
+    if (!labels.has(c)) {
+      labels.set(c, labels.size);
+    }
+  }
+  const aggregated = Array.from({ length: labels.size }, () => new Map());
+  for (let i = 0; i < adjacency.length; i += 1) {
+    const ci = labels.get(community[i]);
+    for (const [j, w] of adjacency[i]) {
+      const cj = labels.get(community[j]);
+      aggregated[ci].set(cj, (aggregated[ci].get(cj) || 0) + w);
+    }
+  }
+  return { aggregated, labels };
+}
+
+// Louvain modularity optimisation. Weighted runs use edge Confidence, floored
+// so zero-confidence edges still keep their endpoints connected.
+function louvainCommunities(graph, { weighted = false, resolution = 1, seed = 1, maxLevels = 10 } = {}) {
+  const n = graph.nodes.length;
+  const membership = Int32Array.from({ length: n }, (_, i) => i);
+  let adjacency = graph.adjacency.map((links) => {
+    const copy = new Map();
+    for (const [j, w] of links) {
+      copy.set(j, weighted ? Math.max(w, 1e-6) : 1);
+    }
+    return copy;
+  });
+  const strengthOf = (links) => {
+    let sum = 0;
+    for (const w of links.values()) sum += w;
+    return sum;
+  };
+  const totalWeight = adjacency.reduce((sum, links) => sum + strengthOf(links), 0);
+  if (totalWeight === 0) {
+    return { membership, count: n, modularity: 0 };
+  }
+
+  const random = seededRandom(seed);
+  for (let level = 0; level < maxLevels; level += 1) {
+    const strength = adjacency.map(strengthOf);
+    const { community, moved } = moveNodesLocally(adjacency, strength, totalWeight, resolution, random);
+    if (!moved) {
+      break;
+    }
+    const { aggregated, labels } = aggregateCommunities(adjacency, community);
+    for (let v = 0; v < n; v += 1) {
+      membership[v] = labels.get(community[membership[v]]);
+    }
+    adjacency = aggregated;
+  }
+
+  const count = adjacency.length;
+  const internal = new Float64Array(count);
+  const total = new Float64Array(count);
+  for (let c = 0; c < count; c += 1) {
+    internal[c] = adjacency[c].get(c) || 0;
+    total[c] = strengthOf(adjacency[c]);
+  }
+  let modularity = 0;
+  for (let c = 0; c < count; c += 1) {
+    modularity += internal[c] / totalWeight - resolution * (total[c] / totalWeight) ** 2;
+  }
+  return { membership, count, modularity };
+}
+
+module.exports = {
+  createBipartiteGraph,
+  addEdge,
+  findNode,
+  computeDegrees,
+  connectedComponents,
+  computeCentrality,
+  louvainCommunities,
+  seededRandom
+};
@@ -0,0 +1,168 @@
+const MITAB_27_COLUMNS = [
+  "ID(s) interactor A",
+  "ID(s) interactor B",
+  "Alt. ID(s) interactor A",
+  "Alt. ID(s) interactor B",
+  "Alias(es) interactor A",
+  "Alias(es) interactor B",
+  "Interaction detection method(s)",
+  "Publication 1st author(s)",
+  "Publication Identifier(s)",
+  "Taxid interactor A",
+  "Taxid interactor B",
+  "Interaction type(s)",
+  "Source database(s)",
+  "Interaction identifier(s)",
+  "Confidence value(s)",
+  "Expansion method(s)",
+  "Biological role(s) interactor A",
+  "Biological role(s) interactor B",
+  "Experimental role(s) interactor A",
+  "Experimental role(s) interactor B",
+  "Type(s) interactor A",
+  "Type(s) interactor B",
+  "Xref(s) interactor A",
+  "Xref(s) interactor B",
+  "Interaction Xref(s)",
+  "Annotation(s) interactor A",
+  "Annotation(s) interactor B",
+  "Interaction annotation(s)",
+  "Host organism(s)",
+  "Interaction parameter(s)",
+  "Creation date",
+  "Update date",
+  "Checksum(s) interactor A",
+  "Checksum(s) interactor B",
+  "Interaction Checksum(s)",
+  "Negative",
+  "Feature(s) interactor A",
+  "Feature(s) interactor B",
+  "Stoichiometry(s) interactor A",
+  "Stoichiometry(s) interactor B",
+  "Identification method participant A",
+  "Identification method participant B"
+];
+
+const INTEROLOG_METHOD = 'psi-mi:"MI:0064"(interologs mapping)';
+const PREDICTION_METHOD = 'psi-mi:"MI:0063"(interaction prediction)';
+const ASSOCIATION_TYPE = 'psi-mi:"MI:0914"(association)';
+const UNSPECIFIED_ROLE = 'psi-mi:"MI:0499"(unspecified role)';
+const PROTEIN_TYPE = 'psi-mi:"MI:0326"(protein)';
+
+function mitabText(value) {
+  const text = String(value ?? "").replace(/[\t\r\n]+/g, " ").trim();
+  if (!text) {
+    return "";
+  }
+  return /[|():"\s]/.test(text) ? `"${text.replace(/"/g, '\\"')}"` : text;
+}
+
+function mitabField(values) {
+  const list = values.filter(Boolean);
+  return list.length > 0 ? list.join("|") : "-";
+}
+
+function isPsiMiTerm(value) {
+  return /^psi-mi:"?MI:\d+/.test(String(value || "").trim());
+}
+
+function splitValues(value) {
+  return String(value ?? "")
+    .split(/[|;,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function publicationIds(row) {
+  return splitValues(row.PMID)
+    .map((item) => item.replace(/^pubmed:/i, ""))
+    .filter((item) => /^\d+$/.test(item))
+    .map((item) => `pubmed:${item}`);
+}
+
+function taxidField(taxid) {
+  const id = String(taxid ?? "").trim();
+  return /^-?\d+$/.test(id) ? `taxid:${id}` : "-";
+}
+
+function templateAnnotations(row) {
+  const notes = [`comment:${mitabText("predicted interaction")}`];
+  const templateA = row.ProteinA ?? row.ProteinA_x;
+  const templateB = row.ProteinB ?? row.ProteinB_x;
+  if (templateA && templateB) {
+    const source = row.intdb_x || row.intdb;
+    const template = source ? `template ${templateA}-${templateB} (${source})` : `template ${templateA}-${templateB}`;
+    notes.push(`comment:${mitabText(template)}`);
+  }
+  for (const method of splitValues(row.Method)) {
+    notes.push(`comment:${mitabText(`template detection method ${method}`)}`);
+  }
+  return notes;
+}
+
+function mitabWriter({ category, hostTaxid, pathogenTaxid }) {
+  const c = String(category || "").toLowerCase();
+  const detectionMethod = c === "interolog" || c === "consensus" ? INTEROLOG_METHOD : PREDICTION_METHOD;
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, "/");
+  const taxidA = taxidField(hostTaxid);
+  const taxidB = taxidField(pathogenTaxid);
+
+  return {
+    header: () => `#${MITAB_27_COLUMNS.join("\t")}\n`,
+    row: (row) => {
+      const types = splitValues(row.Type).filter(isPsiMiTerm);
+      const confidence = [`hpinet-confidence:${row.Confidence}`];
+      if (row.ConfidenceTier) {
+        confidence.push(`hpinet-tier:${row.ConfidenceTier}`);
+      }
+      const fields = [
+        `hpinet:${mitabText(row.Host_Protein)}`,
+        `hpinet:${mitabText(row.Pathogen_Protein)}`,
+        "-",
+        "-",
+        "-",
+        "-",
+        detectionMethod,
+        "-",
+        mitabField(publicationIds(row)),
+        taxidA,
+        taxidB,
+        types.length > 0 ? types.join("|") : ASSOCIATION_TYPE,
+        "-",
+        "-",
+        mitabField(confidence),
+        "-",
+        UNSPECIFIED_ROLE,
+        UNSPECIFIED_ROLE,
+        UNSPECIFIED_ROLE,
+        UNSPECIFIED_ROLE,
+        PROTEIN_TYPE,
+        PROTEIN_TYPE,
+        "-",
+        "-",
+        "-",
+        "-",
+        "-",
+        mitabField(templateAnnotations(row)),
+        "-",
+        "-",
+        today,
+        today,
+        "-",
+        "-",
+        "-",
+        "false",
+        "-",
+        "-",
+        "-",
+        "-",
+        "-",
+        "-"
+      ];
+      return `${fields.join("\t")}\n`;
+    },
+    footer: () => ""
+  };
+}
+
+module.exports = { mitabWriter };
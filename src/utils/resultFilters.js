@@ -0,0 +1,130 @@
+const { HttpError } = require("../errors/HttpError");
+const { toGeneList } = require("./genes");
+
+function asNumberOrNull(value, name) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return parsed;
+}
+
+function asValueList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((item) => String(item ?? "").trim()).filter(Boolean);
+}
+
+function numericRange(min, max) {
+  const range = {};
+  if (min !== null) range.$gte = min;
+  if (max !== null) range.$lte = max;
+  return range;
+}
+
+function convertedRange(field, min, max) {
+  const value = { $convert: { input: `$${field}`, to: "double", onError: null, onNull: null } };
+  const clauses = [{ $ne: [value, null] }];
+  if (min !== null) clauses.push({ $gte: [value, min] });
+  if (max !== null) clauses.push({ $lte: [value, max] });
+  return { $expr: { $and: clauses } };
+}
+
+// Numeric values (everything persisted since Confidence is stored) match a
+// plain range that can use the Confidence_-1 index; $convert only runs on
+// legacy string values, which the $type branch also finds through the index.
+function storedNumericRange(field, min, max) {
+  return {
+    $or: [
+      { [field]: numericRange(min, max) },
+      { [field]: { $type: "string" }, ...convertedRange(field, min, max) }
+    ]
+  };
+}
+
+function hasColumn(projection, column) {
+  return Object.prototype.hasOwnProperty.call(projection, column);
+}
+
+function requireColumn(projection, column, name) {
+  if (!hasColumn(projection, column)) {
+    throw new HttpError(400, `Filter ${name} is not supported for this category`);
+  }
+  return column;
+}
+
+function buildResultFilter(filters = {}, projection) {
+  const clauses = [];
+
+  const minScore = asNumberOrNull(filters.minScore, "minScore");
+  const maxScore = asNumberOrNull(filters.maxScore, "maxScore");
+  if (minScore !== null || maxScore !== null) {
+    const range = numericRange(minScore, maxScore);
+    const fields = ["Score", "score"].filter((column) => hasColumn(projection, column));
+    if (fields.length === 0) {
+      requireColumn(projection, "Score", "minScore/maxScore");
+    }
+    clauses.push({ $or: fields.map((column) => ({ [column]: range })) });
+  }
+
+  const minConfidence = asNumberOrNull(filters.minConfidence, "minConfidence");
+  const maxConfidence = asNumberOrNull(filters.maxConfidence, "maxConfidence");
+  if (minConfidence !== null || maxConfidence !== null) {
+    requireColumn(projection, "Confidence", "minConfidence/maxConfidence");
+    clauses.push(storedNumericRange("Confidence", minConfidence, maxConfidence));
+  }
+
+  const intdb = toGeneList(filters.intdb);
+  if (intdb.length > 0) {
+    clauses.push({ [requireColumn(projection, "intdb_x", "intdb")]: { $in: intdb } });
+  }
+
+  const methods = asValueList(filters.method);
+  if (methods.length > 0) {
+    clauses.push({ [requireColumn(projection, "Method", "method")]: { $in: methods } });
+  }
+
+  const types = asValueList(filters.type);
+  if (types.length > 0) {
+    clauses.push({ [requireColumn(projection, "Type", "type")]: { $in: types } });
+  }
+
+  const hostIds = toGeneList(filters.hostIds);
+  if (hostIds.length > 0) {
+    clauses.push({ Host_Protein: { $in: hostIds } });
+  }
+
+  const pathogenIds = toGeneList(filters.pathogenIds);
+  if (pathogenIds.length > 0) {
+    clauses.push({ Pathogen_Protein: { $in: pathogenIds } });
+  }
+
+  if (clauses.length === 0) {
+    return {};
+  }
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+function buildResultSort(sort, projection) {
+  const raw = String(sort || "").trim();
+  if (!raw) {
+    return null;
+  }
+  const [column, direction = ""] = raw.startsWith("-") ? [raw.slice(1), "desc"] : raw.split(":");
+  if (!hasColumn(projection, column)) {
+    throw new HttpError(400, `Unsupported sort column: ${column}. Supported: ${Object.keys(projection).join(", ")}`);
+  }
+  const order = direction.toLowerCase();
+  if (order && order !== "asc" && order !== "desc") {
+    throw new HttpError(400, `Invalid sort direction: ${direction}. Use asc or desc`);
+  }
+  const value = order === "desc" ? -1 : 1;
+  return { [column]: value, _id: value };
+}
+
+module.exports = {
+  buildResultFilter,
+  buildResultSort
+};